@@ -0,0 +1,306 @@
+// 매니페스트에 정의된 그룹 단위로 리소스를 로딩하고 참조 카운트로 관리한다
+// 이벤트
+//  progress : (ratio, resource) 리소스 하나가 로딩될때마다 호출된다
+//  error    : (error, resource) 리소스 로딩이 실패하였다
+//  complete : (groupNames) 요청한 그룹의 로딩이 모두 끝났다
+class AssetManager extends PIXI.utils.EventEmitter {
+    constructor() {
+        super();
+
+        this.groups = {};       // 그룹 이름 -> [{ name, url }]
+        this.resources = {};    // 리소스 이름 -> PIXI.loaders.Resource
+        this.refCounts = {};    // 리소스 이름 -> 참조 카운트
+        this.pending = {};      // 리소스 이름 -> 로딩중인 Promise
+        this.derived = {};      // 리소스 이름 -> 이 리소스로부터 만들어진 텍스쳐 이름들
+    }
+
+    // 매니페스트를 읽어서 그룹 정보를 등록한다
+    loadManifest(url) {
+        return new Promise((resolve, reject) => {
+            const loader = new PIXI.loaders.Loader();
+            loader.add("manifest", url);
+            loader.load((_, resources) => {
+                const manifest = resources["manifest"];
+                if (manifest.error || !manifest.data) {
+                    reject(new Error("매니페스트를 읽을 수 없습니다 : " + url));
+                    return;
+                }
+
+                for (const groupName in manifest.data.groups) {
+                    this.addGroup(groupName, manifest.data.groups[groupName]);
+                }
+                resolve(this.groups);
+            });
+        });
+    }
+
+    addGroup(groupName, entries) {
+        this.groups[groupName] = entries.map(AssetManager.toEntry);
+    }
+
+    hasGroup(groupName) {
+        return !!this.groups[groupName];
+    }
+
+    // 매니페스트의 항목은 [이름, 경로] 이거나 경로만 있는 문자열이다
+    static toEntry(res) {
+        if (Array.isArray(res)) {
+            return { name: res[0], url: res[1] };
+        }
+        return { name: res, url: res };
+    }
+
+    // 그룹들 중에서 이름으로 항목을 찾는다
+    findEntry(name) {
+        for (const groupName in this.groups) {
+            for (const entry of this.groups[groupName]) {
+                if (entry.name === name) {
+                    return entry;
+                }
+            }
+        }
+        return null;
+    }
+
+    // 기준 파일의 위치로부터 상대경로를 푼다 (assets/mapdata/map.json + tiles.json -> assets/mapdata/tiles.json)
+    static resolveUrl(baseUrl, relativeUrl) {
+        if (/^([a-z]+:)?\/\//i.test(relativeUrl) || relativeUrl[0] === '/') {
+            return relativeUrl;
+        }
+
+        const parts = baseUrl.split('/');
+        parts.pop();
+        for (const part of relativeUrl.split('/')) {
+            if (part === '..') {
+                if (parts.length > 0 && parts[parts.length - 1] !== '..') {
+                    parts.pop();
+                } else {
+                    parts.push(part);
+                }
+            } else if (part !== '.') {
+                parts.push(part);
+            }
+        }
+        return parts.join('/');
+    }
+
+    // 스테이지 파일 경로로부터 그룹 이름을 만든다 (assets/mapdata/map.json -> stage:map)
+    static stageGroupName(stagePath) {
+        const fileName = stagePath.substring(stagePath.lastIndexOf('/') + 1);
+        return "stage:" + fileName.replace(/\.[^.]*$/, '');
+    }
+
+    get(name) {
+        return this.resources[name];
+    }
+
+    isLoaded(name) {
+        if (this.resources[name]) {
+            return true;
+        }
+
+        // 매니져 밖에서 이미 로딩된 텍스쳐도 캐싱된 것으로 본다
+        const texturePackName = name + '_image';
+        return !!(PIXI.utils.TextureCache[name] || PIXI.utils.BaseTextureCache[name] ||
+            PIXI.utils.TextureCache[texturePackName] || PIXI.utils.BaseTextureCache[texturePackName]);
+    }
+
+    // 로딩된 리소스. 매니져 밖에서 로딩되어 캐시에만 있는 텍스쳐는 { name, texture } 로 돌려준다
+    getResource(name) {
+        if (this.resources[name]) {
+            return this.resources[name];
+        }
+
+        const cache = PIXI.utils.TextureCache;
+        const baseCache = PIXI.utils.BaseTextureCache;
+        const texturePackName = name + '_image';
+        let texture = cache[name] || cache[texturePackName];
+        const baseTexture = baseCache[name] || baseCache[texturePackName];
+        if (!texture && baseTexture) {
+            texture = new PIXI.Texture(baseTexture);
+        }
+        return texture ? { name: name, texture: texture } : undefined;
+    }
+
+    // 그룹 이름 (또는 그룹 이름의 배열) 을 받아서 로딩한다
+    // 로딩이 끝나면 이름 -> 리소스 맵으로 resolve 된다
+    load(groupNames) {
+        if (!Array.isArray(groupNames)) {
+            groupNames = [groupNames];
+        }
+
+        let entries;
+        try {
+            entries = this.entriesOf(groupNames);
+        } catch (error) {
+            return Promise.reject(error);
+        }
+
+        return this.loadEntries(entries).then((result) => {
+            this.emit('complete', groupNames);
+            return result;
+        });
+    }
+
+    // 그룹들의 항목을 하나의 목록으로 모은다
+    entriesOf(groupNames) {
+        const entries = [];
+        for (const groupName of groupNames) {
+            const group = this.groups[groupName];
+            if (!group) {
+                throw new Error("매니페스트에 없는 그룹입니다 : " + groupName);
+            }
+            entries.push(...group);
+        }
+        return entries;
+    }
+
+    // 그룹에 속하지 않은 리소스 목록을 직접 로딩한다
+    // 참조 카운트는 요청한 항목마다 하나씩 증가하고, 로딩이 실패하면 모두 되돌린다
+    loadEntries(entries) {
+        entries = entries.map((res) => (res.name ? res : AssetManager.toEntry(res)));
+
+        const waits = [];
+        const loader = new PIXI.loaders.Loader();
+        const added = {};
+        let total = 0;
+        let loaded = 0;
+
+        for (const entry of entries) {
+            this.refCounts[entry.name] = (this.refCounts[entry.name] || 0) + 1;
+
+            if (this.pending[entry.name]) {
+                // 다른 요청이 이미 로딩중이다
+                waits.push(this.pending[entry.name]);
+            } else if (!this.isLoaded(entry.name) && !added[entry.name]) {
+                loader.add(entry.name, entry.url);
+                added[entry.name] = true;
+                total++;
+            }
+        }
+
+        if (total > 0) {
+            const errors = [];
+            loader.onProgress.add((_, resource) => {
+                // 스프라이트 시트의 이미지는 부모 리소스에 포함된다
+                if (added[resource.name]) {
+                    loaded++;
+                    this.emit('progress', loaded / total, resource);
+                }
+            });
+            loader.onError.add((error, _, resource) => {
+                errors.push(resource);
+                this.emit('error', error, resource);
+            });
+
+            const batch = new Promise((resolve, reject) => {
+                loader.load((_, resources) => {
+                    for (const name in added) {
+                        delete this.pending[name];
+                        const resource = resources[name];
+                        if (resource && !resource.error) {
+                            this.resources[name] = resource;
+                        }
+                    }
+
+                    if (errors.length > 0) {
+                        const urls = errors.map((resource) => resource.url);
+                        const error = new Error("리소스를 로딩할 수 없습니다 : " + urls.join(', '));
+                        error.resources = errors.map((resource) => ({
+                            name: resource.name,
+                            url: resource.url,
+                            message: resource.error ? resource.error.message : ''
+                        }));
+                        reject(error);
+                    } else {
+                        resolve();
+                    }
+                });
+            });
+
+            for (const name in added) {
+                this.pending[name] = batch;
+            }
+            waits.push(batch);
+        }
+
+        return Promise.all(waits).then(() => {
+            const result = {};
+            for (const entry of entries) {
+                result[entry.name] = this.getResource(entry.name);
+            }
+            return result;
+        }, (error) => {
+            // 실패하면 이번 요청의 참조를 되돌려서 다시 요청할 수 있게 한다
+            for (const entry of entries) {
+                this.refCounts[entry.name]--;
+            }
+            throw error;
+        });
+    }
+
+    // 그룹의 참조를 해제한다. 더이상 참조가 없는 리소스는 메모리에서 내린다
+    release(groupNames) {
+        if (!Array.isArray(groupNames)) {
+            groupNames = [groupNames];
+        }
+
+        for (const groupName of groupNames) {
+            const group = this.groups[groupName];
+            if (group) {
+                this.releaseEntries(group);
+            }
+        }
+    }
+
+    releaseEntries(entries) {
+        for (const entry of entries) {
+            const name = entry.name || AssetManager.toEntry(entry).name;
+            if (!this.refCounts[name]) {
+                continue;
+            }
+
+            this.refCounts[name]--;
+            if (this.refCounts[name] === 0) {
+                this.unload(name);
+            }
+        }
+    }
+
+    // 리소스로부터 만들어진 텍스쳐를 등록한다. 리소스가 내려갈때 같이 파괴된다
+    addDerived(name, textureNames) {
+        const derived = this.derived[name] || (this.derived[name] = []);
+        for (const textureName of textureNames) {
+            if (derived.indexOf(textureName) < 0) {
+                derived.push(textureName);
+            }
+        }
+    }
+
+    unload(name) {
+        const resource = this.resources[name];
+        delete this.resources[name];
+        delete this.refCounts[name];
+
+        const derived = this.derived[name];
+        if (derived) {
+            for (const textureName of derived) {
+                const texture = PIXI.utils.TextureCache[textureName];
+                if (texture) {
+                    texture.destroy(true);
+                }
+            }
+            delete this.derived[name];
+        }
+
+        if (!resource) {
+            return;
+        }
+
+        if (resource.spritesheet) {
+            resource.spritesheet.destroy(true);
+        } else if (resource.texture) {
+            resource.texture.destroy(true);
+        }
+    }
+}
@@ -1,9 +1,23 @@
 
+// 대상 선택중 후보가 선 셀과 고른 대상의 범위 색
+const TARGET_HIGHLIGHT_COLOR = 0xFFE080;
+const TARGET_AREA_COLOR = 0xFF6040;
+// 이동 단계에서 갈 수 있는 셀 색
+const MOVE_RANGE_COLOR = 0x60A0FF;
+
+// 행동 게이지가 이만큼 차면 차례가 온다. 게이지는 틱마다 speed 만큼 찬다
+const TURN_THRESHOLD = 100;
+// 타임라인에 보여줄 앞으로의 차례 수
+const TIMELINE_LENGTH = 8;
+// 원거리 공격을 할때 상대 반대쪽으로 물러나는 거리 (픽셀)
+const RANGED_RECOIL = 4;
+
 // 전투 씬을 구성하고 싸우게 한다
 class Battle {
     constructor(game) {
         this.game = game;
         this.callback = null;
+        this.seed = null;
 
         this.movies = [];
     }
@@ -14,12 +28,15 @@ class Battle {
         this.players = [];
         this.enemies = [];
 
+        // 적 AI 와 스킬 효과는 이 난수를 쓴다. seed 를 정하면 같은 전투가 재현된다
+        this.random = new SeededRandom((this.seed !== null) ? this.seed : Date.now());
+
         this.loadCharacter();
 
         this.cutscene = true;
         this.game.ui.showTheaterScreen(0);
         this.game.ui.battleUi.setBattleUi(this.players, this.enemies);
-        this.game.stage.focusBattleCenter();
+        stage.camera.lookAtMapCenter();
 
         stage.onTileSelected = null;
     }
@@ -28,42 +45,52 @@ class Battle {
         this.callback = callback;
     }
 
+    // 다음 전투부터 쓸 난수 seed. null 이면 매번 다르게 한다
+    setSeed(seed) {
+        this.seed = seed;
+    }
+
     start() {
         this.battleIntro();
     }
 
     loadCharacter() {
-        const spawnPoint = { x: 6, y: 7 };
+        // 맵의 시작위치를 사용하고, 없으면 기본 위치에 놓는다
+        const stage = this.game.stage;
+        const place = (character, name, x, y) => {
+            const spawnPoint = stage.getSpawnPoint(name) || { x: x, y: y };
+            stage.addCharacter(character, spawnPoint.x, spawnPoint.y);
+        };
 
         // 하드코딩 수정할 것. (파티의 개념이 어딘가에 있어야 할 것 같고.. enemies를 어디서 어떻게 불러올까.. 우선 하드코딩)
         const player = new Engine.Wizard();
         this.players.push(player);
-        this.game.stage.addCharacter(player, spawnPoint.x, spawnPoint.y - 2);
+        place(player, "player1", 6, 5);
         player.changeVisualToDirection(Engine.DIRECTIONS.NE);
 
         const player_2 = new Engine.Archer();
         this.players.push(player_2);
-        this.game.stage.addCharacter(player_2, spawnPoint.x, spawnPoint.y);
+        place(player_2, "player2", 6, 7);
         player_2.changeVisualToDirection(Engine.DIRECTIONS.NE);
 
         const player_3 = new Engine.Knight();
         this.players.push(player_3);
-        this.game.stage.addCharacter(player_3, spawnPoint.x, spawnPoint.y + 2);
+        place(player_3, "player3", 6, 9);
         player_3.changeVisualToDirection(Engine.DIRECTIONS.NE);
 
         // 적을 추가한다
         const enemy = new Engine.Medusa();
-        this.game.stage.addCharacter(enemy, 12, 5);
+        place(enemy, "enemy1", 12, 5);
         this.enemies.push(enemy);
 
         // 적을 추가한다
         const enemy_2 = new Engine.Troll();
-        this.game.stage.addCharacter(enemy_2, 12, 7);
+        place(enemy_2, "enemy2", 12, 7);
         this.enemies.push(enemy_2);
 
         // 적을 추가한다
         const enemy_3 = new Engine.Wolf();
-        this.game.stage.addCharacter(enemy_3, 12, 9);
+        place(enemy_3, "enemy3", 12, 9);
         this.enemies.push(enemy_3);
     }
 
@@ -73,19 +100,17 @@ class Battle {
         // Intro Cutscene (하드코딩 수정할 것..) 캐릭터별 대사가 있을것이고.. 캐릭터 배열이 있을테니 추후 하드코딩 수정할것
         var intro = () => {
             if (flow == 0) {
-                this.game.stage.focusBattleObject(this.enemies[1]);
-                setTimeout(() => {
+                this.game.stage.camera.lookAtObject(this.enemies[1]).then(() => {
                     this.game.ui.showChatBallon(this.enemies[1], "인간 냄새가 나는군..");
-                }, 550);
+                });
             } else if (flow == 1) {
-                this.game.stage.focusBattleObject(this.players[2]);
-                setTimeout(() => {
+                this.game.stage.camera.lookAtObject(this.players[2]).then(() => {
                     this.game.ui.showChatBallon(this.players[2], "각오하라고!!");
-                }, 550);
+                });
             } else if (flow == 2) {
                 this.cutscene = false;
                 this.game.ui.hideTheaterScreen(1);
-                this.game.stage.focusBattleCenter();
+                this.game.stage.camera.lookAtMapCenter();
                 this.game.ui.battleUi.showUi();
                 this.players.forEach((player) => {
                     // this.game 넘기는 것 수정.
@@ -98,7 +123,7 @@ class Battle {
 
             setTimeout(() => {
                 if (flow === 2) {
-                    this.turnCount = 0;
+                    this.startInitiative();
                     this.nextTurn();
                 } else {
                     flow++;
@@ -128,77 +153,107 @@ class Battle {
 
         if (enemiesLength === 0) {
             this.gameEnd();
+            return;
         } else if (playerLength === 0) {
             this.gameEnd();
-        } else if (this.turnCount % 4 === 0) {
-            // 사용자 턴 양측 tint 조정.
-            this.game.ui.showStageTitle("Player's Turn");
-
-            this.players.forEach((player) => {
-                if (player.hp > 0) {
-                    player.status = 'idle';
-                    player.anim.tint = 0xFFFFFF;
-                }
-            });
+            return;
+        }
 
-            this.enemies.forEach((enemy) => {
-                enemy.anim.tint = 0xBBBBBB;
-            });
+        // 게이지가 먼저 찬 캐릭터가 행동한다
+        const living = this.getLivingCharacters();
+        const gauges = living.map((character) => character.initiative);
+        const character = living[this.advanceGauges(living, gauges)];
+        living.forEach((c, i) => {
+            c.initiative = gauges[i];
+        });
+        this.updateTimeline();
 
-            setTimeout(() => {
-                this.turnCount = 1;
-                this.nextTurn();
-            }, 1000);
-        } else if (this.turnCount % 4 === 1) {
-            let index = -1;
-            this.players.forEach((player, i) => {
-                if (player.status === 'idle' && index == -1) {
-                    index = i;
-                }
+        const begin = () => {
+            // 행동하는 캐릭터만 밝게 보인다
+            living.forEach((c) => {
+                c.anim.tint = 0xBBBBBB;
             });
+            character.status = 'idle';
+            character.movePoints = character.maxMovePoints;
+            character.onTurnStart();
+            character.anim.tint = 0xFFFFFF;
+            this.turn(character, this.nextTurn.bind(this));
+        };
+
+        // 차례가 상대편으로 넘어갈때만 제목을 보여준다
+        const side = (this.players.indexOf(character) >= 0) ? "player" : "enemy";
+        if (side !== this.currentSide) {
+            this.currentSide = side;
+            this.game.ui.showStageTitle(side === "player" ? "Player's Turn" : "Enemy's Turn");
+            setTimeout(begin, 1000);
+        } else {
+            begin();
+        }
+    }
 
-            if (index === -1) {
-                this.turnCount = 2;
-                this.nextTurn();
-            } else {
-                this.turn(this.players[index], this.nextTurn.bind(this));
-            }
-        } else if (this.turnCount % 4 === 2) {
-            this.game.ui.showStageTitle("Enemy's Turn");
-
-            this.enemies.forEach((enemy) => {
-                if (enemy.hp > 0) {
-                    enemy.status = 'idle';
-                    enemy.anim.tint = 0xFFFFFF;
-                }
-            });
+    // 전투 시작때 모든 게이지를 비운다
+    startInitiative() {
+        this.players.concat(this.enemies).forEach((character) => {
+            character.initiative = 0;
+            character.status = 'done';
+        });
+        this.currentSide = null;
+    }
 
-            setTimeout(() => {
-                this.turnCount = 3;
-                this.nextTurn();
-            }, 1000);
-        } else {
-            let index = -1;
-            this.enemies.forEach((enemy, i) => {
-                if (enemy.status === 'idle' && index == -1) {
-                    index = i;
-                }
-            });
+    getLivingCharacters() {
+        return this.players.concat(this.enemies).filter((character) => character.hp > 0);
+    }
 
-            if (index === -1) {
-                this.turnCount = 0;
-                this.nextTurn();
-            } else {
-                this.turn(this.enemies[index], this.nextTurn.bind(this));
+    // 누군가의 게이지가 TURN_THRESHOLD 에 닿을때까지 모두의 게이지를 speed 만큼씩 채운다
+    // 그 캐릭터의 인덱스를 돌려주고 게이지에서 TURN_THRESHOLD 를 뺀다
+    // 같은 틱에 닿으면 더 많이 찬 쪽, 그것도 같으면 배열 앞쪽(플레이어)이 먼저다
+    advanceGauges(characters, gauges) {
+        const speeds = characters.map((character) => Math.max(1, character.getStat("speed")));
+        let best = -1;
+        let bestTicks = 0;
+        let bestGauge = 0;
+        characters.forEach((character, i) => {
+            const ticks = Math.max(0, Math.ceil((TURN_THRESHOLD - gauges[i]) / speeds[i]));
+            const gauge = gauges[i] + ticks * speeds[i];
+            if (best === -1 || ticks < bestTicks || (ticks === bestTicks && gauge > bestGauge)) {
+                best = i;
+                bestTicks = ticks;
+                bestGauge = gauge;
             }
+        });
+        characters.forEach((character, i) => {
+            gauges[i] += bestTicks * speeds[i];
+        });
+        gauges[best] -= TURN_THRESHOLD;
+        return best;
+    }
+
+    // 앞으로 count 번의 차례. 게이지는 바꾸지 않고 지금의 speed 로 계산한다
+    getTurnOrder(count) {
+        const living = this.getLivingCharacters();
+        const gauges = living.map((character) => character.initiative);
+        const order = [];
+        while (living.length > 0 && order.length < count) {
+            order.push(living[this.advanceGauges(living, gauges)]);
         }
+        return order;
+    }
+
+    // amount 만큼 차례를 늦춘다. 음수면 앞당긴다
+    delayTurn(character, amount) {
+        character.initiative -= amount;
+        this.updateTimeline();
+    }
+
+    updateTimeline() {
+        this.game.ui.battleUi.updateTimeline(this.getTurnOrder(TIMELINE_LENGTH));
     }
 
     gameEnd() {
         // ending_victory
         this.game.ui.battleUi.hideUi();
 
-        const victory = new PIXI.Sprite(PIXI.Texture.fromFrame("ending_victory.png"));
+        const victory = new ScreenImage("ending_victory.png", this.game.screenWidth, this.game.screenHeight);
         victory.alpha = 0;
         this.game.ui.battleUi.addChild(victory);
         this.game.tweens.addTween(victory, 1, { alpha: 1 }, 1, "easeInOut", true, ()=> {
@@ -214,95 +269,533 @@ class Battle {
     turn(character, onEndTurn) {
         // 턴이 종료되면 callback 을 부른다
         // 사용자의 입력을 기다린다
+        this.waitCommand(character, (character, skillId, decision) => {
+            if (decision && decision.action === "wait") {
+                this.endCharacterTurn(character, onEndTurn);
+                return;
+            }
+            if (decision && (decision.action === "flee" || decision.action === "move")) {
+                // 닿는 상대가 없으면 다가가기만 하고, 다친 적은 물러난다
+                this.playMove(character, decision.x, decision.y, () => {
+                    this.endCharacterTurn(character, onEndTurn);
+                });
+                return;
+            }
 
-        // 하드코딩 수정할 것..
-        this.waitCommand(character, (character, command) => {
-            if (command === "attack") {
-                // 공격을 한다
-                // 상대를 향해 조금 이동을 하고 
-                // 이동이 끝나면 공격 모션을 플레이한다
-                // 모든 것이 끝나면 턴종료를 한다
-                let opponent;
-                if (this.players.indexOf(character) >= 0) {
-                    this.enemies.forEach((enemy) => {
-                        if (enemy.hp > 0 && !opponent) {
-                            opponent = enemy;
-                        }
-                    });
-                } else {
-                    this.players.forEach((player) => {
-                        if (player.hp > 0 && !opponent) {
-                            opponent = player;
-                        }
-                    });
+            const skill = Skill.get(skillId);
+            const allies = (this.players.indexOf(character) >= 0) ? this.players : this.enemies;
+            const enemies = (allies === this.players) ? this.enemies : this.players;
+
+            const execute = (mainTarget) => {
+                const targets = skill.getTargets(character, mainTarget, allies, enemies);
+                if (mainTarget && mainTarget !== character) {
+                    character.changeVisualToDirection(getDirection(character.gridX, character.gridY, mainTarget.gridX, mainTarget.gridY));
                 }
 
+                skill.spend(character);
                 character.status = 'done';
+                if (skill.id !== "attack") {
+                    this.showEffectText(character, skill.name, "#FFE080");
+                }
 
-                const start = { x: character.position.x, y: character.position.y };
-                const to = { x: (opponent.position.x - character.position.x) / 10 * 3 + character.position.x, y: (opponent.position.y - character.position.y) / 10 * 3 + character.position.y };
-
-                const movieClip = new MovieClip(
-                    MovieClip.Timeline(1, 1, null, () => {
-                        // 준비동작을 한다
-                    }),
-                    MovieClip.Timeline(1, 30, character, [
-                        ["x", start.x, to.x, "outCubic"],
-                        ["y", start.y, to.y, "outCubic"]]),
-                    MovieClip.Timeline(31, 31, null, () => {
-                        // 공격모션을 플레이한다
-                        character.setAnimation('attack_' + getDirectionName(character.currentDir))
-                        character.anim.loop = false;
-                    }),
-                    MovieClip.Timeline(91, 91, null, () => {
-                        // 데미지 연산하고, 히트이펙트를 추가한다
-                        // 데미지를 입었을 때, 죽음 처리를 어떻게 해야할까.... 체력은 어디서 까야하지..?
-                        // 이펙트는 어디서 주는가?..
-                        let damage = Math.round((character.damage * character.balance) + (Math.random() * (1 - character.balance) * character.damage) * (1 - opponent.defense));
-                        let fontColor = "#FFFFFF";
-                        if (Math.random() < character.ciriticalRate) {
-                            fontColor = "#FF0000";
-                            damage = Math.round(damage * character.ciriticalBalance);
-                            opponent.onDamage(this.game, damage, { type: 'Slash', critical: true });
+                if (skill.type === "damage") {
+                    this.playAttack(character, skill, mainTarget || targets[0], targets, onEndTurn);
+                } else {
+                    this.playSupport(character, skill, targets, onEndTurn);
+                }
+            };
+
+            if (decision) {
+                // AI 가 고른 대상. 닿지 않으면 고른 셀까지 먼저 움직인다
+                // 길이 막혀서 덜 움직였으면 멈춘 자리에서 다시 확인하고, 여전히 닿지 않으면 행동 없이 턴을 마친다
+                if (decision.moveTo) {
+                    this.playMove(character, decision.moveTo.x, decision.moveTo.y, () => {
+                        if (this.canHit(character, skill, decision.target, character.gridX, character.gridY)) {
+                            execute(decision.target);
                         } else {
-                            opponent.onDamage(this.game, damage, { type: 'Slash' });
+                            this.endCharacterTurn(character, onEndTurn);
                         }
+                    });
+                } else {
+                    execute(decision.target);
+                }
+            } else if (allies === this.players && skill.needsTarget()) {
+                // 플레이어는 대상을 고른다. 취소하면 명령 선택으로 돌아간다
+                this.selectTarget(character, skill, allies, enemies, execute, () => {
+                    this.turn(character, onEndTurn);
+                });
+            } else {
+                execute(skill.getDefaultTarget(character, allies, enemies));
+            }
+        });
+    }
 
-                        this.hitEffect(opponent, damage, fontColor);
-                    }),
-                    MovieClip.Timeline(111, 111, null, () => {
-                        // 다시 준비동작을 한다
-                        character.setAnimation('idle_' + getDirectionName(character.currentDir))
-                        character.anim.loop = true;
-                    }),
-                    MovieClip.Timeline(111, 140, character, [
-                        ["x", to.x, start.x, "outCubic"],
-                        ["y", to.y, start.y, "outCubic"]]),
-                    MovieClip.Timeline(141, 141, null, () => {
-                        character.anim.tint = 0xBBBBBB;
-                        setTimeout(onEndTurn, 1);
-                    }),
-                );
-                this.movies.push(movieClip);
-                movieClip.playAndStop(); // 이것을 기본으로 한다..
+    // 대상 선택 단계. 후보가 선 셀과 초상화를 강조하고 맵이나 초상화를 클릭해서 고른다
+    // 이미 고른 대상을 한번 더 클릭하면 확정, 후보가 아닌 곳을 클릭하면 취소한다
+    // 키보드는 좌우 화살표(또는 Tab)로 후보를 바꾸고 Enter, Space 로 확정, Esc 로 취소한다
+    // 후보는 지금 자리에서 스킬이 닿는 캐릭터들이다. 아무도 없으면 바로 취소한다
+    selectTarget(character, skill, allies, enemies, onSelect, onCancel) {
+        const candidates = skill.getSide(character, allies, enemies).filter((target) => {
+            return target.hp > 0 && this.canHit(character, skill, target, character.gridX, character.gridY);
+        });
+        if (candidates.length === 0) {
+            this.showEffectText(character, "사거리 밖", "#C0C0C0");
+            onCancel();
+            return;
+        }
+        const defaultTarget = skill.getDefaultTarget(character, allies, enemies);
+
+        this.targeting = {
+            character: character,
+            skill: skill,
+            allies: allies,
+            enemies: enemies,
+            candidates: candidates,
+            index: Math.max(0, candidates.indexOf(defaultTarget)),
+            onSelect: onSelect,
+            onCancel: onCancel,
+            cells: [],
+            info: null
+        };
+
+        this.game.stage.onTileSelected = this.onTargetTileSelected.bind(this);
+        this.onTargetKeyDown = this.onTargetKeyDown || ((e) => {
+            if (!this.targeting) {
+                return;
+            }
+            if (e.keyCode === 37 || e.keyCode === 38 || (e.keyCode === 9 && e.shiftKey)) {
+                this.focusTarget(this.targeting.index - 1);
+            } else if (e.keyCode === 39 || e.keyCode === 40 || e.keyCode === 9) {
+                this.focusTarget(this.targeting.index + 1);
+            } else if (e.keyCode === 13 || e.keyCode === 32) {
+                this.confirmTarget(this.targeting.candidates[this.targeting.index]);
+            } else if (e.keyCode === 27) {
+                this.cancelTargeting();
+            } else {
+                return;
             }
-        })
+            e.preventDefault();
+        });
+        window.addEventListener("keydown", this.onTargetKeyDown);
+
+        this.game.ui.battleUi.showTargets(candidates, (target) => {
+            this.onTargetPicked(target);
+        });
+        this.focusTarget(this.targeting.index);
+    }
+
+    focusTarget(index) {
+        const targeting = this.targeting;
+        const count = targeting.candidates.length;
+        targeting.index = ((index % count) + count) % count;
+        const target = targeting.candidates[targeting.index];
+
+        // 후보들이 선 셀은 노란색, 고른 대상의 범위는 빨간색으로 칠한다
+        this.clearTargetHighlights();
+        targeting.candidates.forEach((candidate) => {
+            this.highlightTargetCell(candidate.gridX, candidate.gridY, TARGET_HIGHLIGHT_COLOR);
+        });
+        targeting.skill.getAreaCells(target.gridX, target.gridY).forEach((cell) => {
+            this.highlightTargetCell(cell.x, cell.y, TARGET_AREA_COLOR);
+        });
+
+        this.game.ui.battleUi.focusTarget(target);
+        this.showTargetInfo(target, targeting.skill.predict(targeting.character, target));
+    }
+
+    highlightTargetCell(x, y, color) {
+        const tile = this.game.stage.getGroundTileAt(x, y);
+        if (tile) {
+            tile.setHighlighted(true, color);
+            this.targeting.cells.push(tile);
+        }
+    }
+
+    clearTargetHighlights() {
+        this.targeting.cells.forEach((tile) => {
+            tile.setHighlighted(false);
+        });
+        this.targeting.cells = [];
+    }
+
+    // 고른 대상 머리 위에 예상 데미지(회복량)와 명중률, 크리티컬 확률을 보여준다
+    showTargetInfo(target, prediction) {
+        this.hideTargetInfo();
+
+        const amount = (prediction.min === prediction.max) ? String(prediction.min) : prediction.min + "~" + prediction.max;
+        let message;
+        if (this.targeting.skill.type === "damage") {
+            message = amount + "  " + Math.round(prediction.hitChance * 100) + "%";
+            if (prediction.criticalChance > 0) {
+                message += "  Crit " + Math.round(prediction.criticalChance * 100) + "%";
+            }
+        } else if (this.targeting.skill.type === "heal") {
+            message = "+" + amount;
+        } else {
+            message = this.targeting.skill.name;
+        }
+
+        const style = new PIXI.TextStyle();
+        style.dropShadow = true;
+        style.dropShadowDistance = 2;
+        style.fontWeight = 'bold';
+        style.fontSize = 14;
+        style.fill = "#FFE080";
+        const text = new PIXI.Text(message, style);
+        text.anchor.x = 0.5;
+        text.anchor.y = 1;
+        // 체력바 바로 위에 둔다
+        text.position.x = target.hpHolder.position.x + target.hpHolder.width / 2;
+        text.position.y = target.hpHolder.position.y - 2;
+        target.addChild(text);
+        this.targeting.info = text;
+    }
+
+    hideTargetInfo() {
+        const info = this.targeting.info;
+        if (info) {
+            info.parent.removeChild(info);
+            info.destroy();
+            this.targeting.info = null;
+        }
+    }
+
+    onTargetTileSelected(x, y, picked) {
+        const candidates = this.targeting.candidates;
+        const target = (candidates.indexOf(picked) >= 0) ? picked :
+            candidates.find((candidate) => candidate.gridX === x && candidate.gridY === y);
+        if (target) {
+            this.onTargetPicked(target);
+        } else {
+            this.cancelTargeting();
+        }
+    }
+
+    // 처음 고르면 포커스만 옮기고 같은 대상을 다시 고르면 확정한다
+    onTargetPicked(target) {
+        const targeting = this.targeting;
+        if (!targeting) {
+            return;
+        }
+        if (targeting.candidates[targeting.index] === target) {
+            this.confirmTarget(target);
+        } else {
+            this.focusTarget(targeting.candidates.indexOf(target));
+        }
+    }
+
+    confirmTarget(target) {
+        const targeting = this.endTargeting();
+        if (targeting) {
+            targeting.onSelect(target);
+        }
+    }
+
+    cancelTargeting() {
+        const targeting = this.endTargeting();
+        if (targeting) {
+            targeting.onCancel();
+        }
+    }
+
+    endTargeting() {
+        const targeting = this.targeting;
+        if (!targeting) {
+            return null;
+        }
+        this.clearTargetHighlights();
+        this.hideTargetInfo();
+        this.game.ui.battleUi.hideTargets();
+        this.game.stage.onTileSelected = null;
+        window.removeEventListener("keydown", this.onTargetKeyDown);
+        this.targeting = null;
+        return targeting;
+    }
+
+    onGameClick(event) {
+        // 이동 단계나 대상을 고르는 중에만 맵 클릭을 받는다
+        if ((this.movePhase || this.targeting) && this.game.stage) {
+            this.game.stage.checkForTileClick(event.data);
+        }
+    }
+
+    // 공격을 한다
+    // 근접 공격은 상대를 향해 조금 이동을 하고, 원거리 공격은 제자리에서 살짝 물러난다
+    // 이동이 끝나면 공격 모션을 플레이한다
+    // 모든 것이 끝나면 턴종료를 한다
+    playAttack(character, skill, opponent, targets, onEndTurn) {
+        const start = { x: character.position.x, y: character.position.y };
+        const dx = opponent.position.x - start.x;
+        const dy = opponent.position.y - start.y;
+        let to;
+        if (skill.getRange(character) <= 1) {
+            to = { x: dx / 10 * 3 + start.x, y: dy / 10 * 3 + start.y };
+        } else {
+            const length = Math.sqrt(dx * dx + dy * dy) || 1;
+            to = { x: start.x - dx / length * RANGED_RECOIL, y: start.y - dy / length * RANGED_RECOIL };
+        }
+
+        const movieClip = new MovieClip(
+            MovieClip.Timeline(1, 1, null, () => {
+                // 준비동작을 한다
+            }),
+            MovieClip.Timeline(1, 30, character, [
+                ["x", start.x, to.x, "outCubic"],
+                ["y", start.y, to.y, "outCubic"]]),
+            MovieClip.Timeline(31, 31, null, () => {
+                // 공격모션을 플레이한다
+                character.setAnimation(character.getAnimationName('attack', character.currentDir))
+                character.anim.loop = false;
+            }),
+            MovieClip.Timeline(91, 91, null, () => {
+                // 범위 안의 대상 모두에게 데미지를 주고 히트이펙트를 추가한다
+                targets.forEach((target) => {
+                    const effect = skill.computeEffect(character, target, this.random.next.bind(this.random));
+                    if (effect.miss) {
+                        this.showEffectText(target, "MISS", "#C0C0C0");
+                        return;
+                    }
+                    target.onDamage(this.game, effect.amount, { type: 'Slash', critical: effect.critical });
+                    this.hitEffect(target, effect.amount, effect.critical ? "#FF0000" : "#FFFFFF");
+                    if (target.hp <= 0) {
+                        // 쓰러진 캐릭터는 사라지는 동안에도 길을 막지 않는다
+                        this.game.stage.clearCharacterCell(target);
+                    }
+                    if (effect.delay) {
+                        this.delayTurn(target, effect.delay);
+                    }
+                });
+                // 쓰러지거나 차례가 밀린 캐릭터를 타임라인에 반영한다
+                this.updateTimeline();
+            }),
+            MovieClip.Timeline(111, 111, null, () => {
+                // 다시 준비동작을 한다
+                character.setAnimation(character.getAnimationName('idle', character.currentDir))
+                character.anim.loop = true;
+            }),
+            MovieClip.Timeline(111, 140, character, [
+                ["x", to.x, start.x, "outCubic"],
+                ["y", to.y, start.y, "outCubic"]]),
+            MovieClip.Timeline(141, 141, null, () => {
+                character.anim.tint = 0xBBBBBB;
+                setTimeout(onEndTurn, 1);
+            }),
+        );
+        this.movies.push(movieClip);
+        movieClip.playAndStop(); // 이것을 기본으로 한다..
+    }
+
+    // 이동력 안에서 (x, y) 로 움직이고 멈추면 callback 을 부른다
+    playMove(character, x, y, callback) {
+        if (!this.moveCharacter(character, x, y)) {
+            callback();
+            return;
+        }
+        this.whenStopped(character, callback);
+    }
+
+    // 움직이는 중이면 도착하거나 길이 막혀 멈출때까지 기다린다
+    whenStopped(character, callback) {
+        if (!this.isMoving(character)) {
+            callback();
+            return;
+        }
+        const onStop = () => {
+            character.off('movearrive', onStop);
+            character.off('moveblocked', onStop);
+            callback();
+        };
+        character.on('movearrive', onStop);
+        character.on('moveblocked', onStop);
+    }
+
+    // 다른 캐릭터가 길을 비켜주길 기다리는 중에도 움직이는 중으로 본다
+    isMoving(character) {
+        return character.isMoving || !!character.waitingPath;
+    }
+
+    // 행동 없이 턴을 마친다 (대기, 이동만 한 경우)
+    endCharacterTurn(character, onEndTurn) {
+        character.status = 'done';
+        character.anim.tint = 0xBBBBBB;
+        setTimeout(onEndTurn, 1);
+    }
+
+    // 회복, 버프는 제자리에서 시전 모션을 하고 대상에게 효과를 준다
+    playSupport(character, skill, targets, onEndTurn) {
+        const movieClip = new MovieClip(
+            MovieClip.Timeline(1, 1, null, () => {
+                character.setAnimation(character.getAnimationName('attack', character.currentDir))
+                character.anim.loop = false;
+            }),
+            MovieClip.Timeline(61, 61, null, () => {
+                targets.forEach((target) => {
+                    const effect = skill.computeEffect(character, target, this.random.next.bind(this.random));
+                    if (effect.type === "heal") {
+                        target.onHeal(this.game, effect.amount);
+                        this.showEffectText(target, '+' + effect.amount, "#60FF80");
+                    } else {
+                        target.addBuff(effect.buff);
+                        this.showEffectText(target, effect.buff.name, "#80C0FF");
+                    }
+                    if (effect.delay) {
+                        this.delayTurn(target, effect.delay);
+                    }
+                });
+                this.updateTimeline();
+            }),
+            MovieClip.Timeline(81, 81, null, () => {
+                character.setAnimation(character.getAnimationName('idle', character.currentDir))
+                character.anim.loop = true;
+            }),
+            MovieClip.Timeline(111, 111, null, () => {
+                character.anim.tint = 0xBBBBBB;
+                setTimeout(onEndTurn, 1);
+            }),
+        );
+        this.movies.push(movieClip);
+        movieClip.playAndStop();
+    }
+
+    // skill 로 (fromX, fromY) 에서 target 에 닿는가. 한칸보다 먼 거리는 지형이 시야를 가리지 않아야 한다
+    canHit(character, skill, target, fromX, fromY) {
+        if (!skill.needsTarget() || target === character) {
+            return true;
+        }
+        const stage = this.game.stage;
+        const range = skill.getRange(character);
+        if (stage.getGridDistance(fromX, fromY, target.gridX, target.gridY) > range) {
+            return false;
+        }
+        return range <= 1 || stage.hasLineOfSight(fromX, fromY, target.gridX, target.gridY);
+    }
+
+    // 이번 턴에 움직여서 skill 로 target 에 닿는 셀중 비용이 가장 적은 곳
+    // 지금 자리에서 닿으면 현재 위치({ cost: 0 }), 닿는 곳이 없으면 null
+    findAttackCell(character, skill, target) {
+        if (this.canHit(character, skill, target, character.gridX, character.gridY)) {
+            return { x: character.gridX, y: character.gridY, cost: 0 };
+        }
+        const cells = this.getMovableCells(character).filter((cell) => this.canHit(character, skill, target, cell.x, cell.y));
+        cells.sort((a, b) => a.cost - b.cost);
+        return cells[0] || null;
+    }
+
+    // 이동 단계. 명령을 고르기 전에 움직일 캐릭터가 갈 수 있는 셀을 칠하고 클릭하면 그 셀로 움직인다
+    // 움직일 캐릭터를 다시 클릭하면 행동 없이 대기한다
+    beginMovePhase(character, onWait) {
+        this.movePhase = { character: character, cells: [], tiles: [], onWait: onWait };
+        this.game.stage.onTileSelected = this.onMoveTileSelected.bind(this);
+        this.showMoveRange();
+    }
+
+    showMoveRange() {
+        const phase = this.movePhase;
+        this.clearMoveRange();
+        if (this.isMoving(phase.character)) {
+            return;
+        }
+        phase.cells = this.getMovableCells(phase.character);
+        phase.cells.forEach((cell) => {
+            const tile = this.game.stage.getGroundTileAt(cell.x, cell.y);
+            if (tile) {
+                tile.setHighlighted(true, MOVE_RANGE_COLOR);
+                phase.tiles.push(tile);
+            }
+        });
+    }
+
+    clearMoveRange() {
+        this.movePhase.tiles.forEach((tile) => {
+            tile.setHighlighted(false);
+        });
+        this.movePhase.tiles = [];
+        this.movePhase.cells = [];
+    }
+
+    onMoveTileSelected(x, y, picked) {
+        const phase = this.movePhase;
+        if (this.isMoving(phase.character)) {
+            return;
+        }
+
+        // 움직일 캐릭터를 클릭하면 행동 없이 대기한다
+        const character = phase.character;
+        if (picked === character || (character.gridX === x && character.gridY === y)) {
+            const onWait = phase.onWait;
+            this.endMovePhase();
+            onWait(character);
+        } else if (phase.cells.some((cell) => cell.x === x && cell.y === y)) {
+            this.clearMoveRange();
+            this.playMove(phase.character, x, y, () => {
+                // 도착하면 남은 이동력으로 갈 수 있는 곳을 다시 보여준다
+                if (this.movePhase === phase) {
+                    this.showMoveRange();
+                }
+            });
+        }
+    }
+
+    endMovePhase() {
+        if (!this.movePhase) {
+            return;
+        }
+        this.clearMoveRange();
+        this.game.stage.onTileSelected = null;
+        this.movePhase = null;
+    }
+
+    // 이번 턴에 갈 수 있는 셀들. 지형의 이동 비용을 이동력에서 뺀다
+    getMovableCells(character) {
+        return this.game.stage.findReachable(character, character.movePoints);
+    }
+
+    // 이동력이 충분하면 (x, y) 로 이동시키고 든 비용만큼 이동력을 줄인다
+    moveCharacter(character, x, y) {
+        const cost = this.game.stage.getMoveCostTo(character, x, y);
+        if (cost < 0 || cost > character.movePoints) {
+            return false;
+        }
+        if (!this.game.stage.moveCharacter(character, x, y, "refuse")) {
+            return false;
+        }
+        character.movePoints -= cost;
+        return true;
     }
 
     waitCommand(character, onCommandCallback) {
-        // onCommandCallback("attack");
-        // opponent 변경도 필요하다..
         if (this.players.indexOf(character) >= 0) {
-            // Player일경우. battle UI에서 커멘드를 받는다..
+            // Player일경우. battle UI에서 커멘드를 받는다. skillA, skillB 버튼이 캐릭터의 첫번째, 두번째 스킬이고 초상화가 기본 공격이다
+            this.beginMovePhase(character, (character) => {
+                this.game.ui.battleUi.disableInteractive();
+                onCommandCallback(character, null, { action: "wait" });
+            });
             this.game.ui.battleUi.getCommand((character, command) => {
-                onCommandCallback(character, "attack");
+                // 움직이던 중이면 멈춘 뒤에 명령을 실행한다
+                this.endMovePhase();
+                this.whenStopped(character, () => {
+                    if (command === "selectA") {
+                        onCommandCallback(character, character.skills[0]);
+                    } else if (command === "selectB") {
+                        onCommandCallback(character, character.skills[1]);
+                    } else {
+                        onCommandCallback(character, "attack");
+                    }
+                });
             });
         } else {
-            onCommandCallback(character, "attack");
+            // 적은 몬스터마다 정해진 AI 가 행동을 정한다 (js/battleai.js)
+            const decision = BattleAI.get(character.aiProfile).decide(character, this.enemies, this.players, this.random, this);
+            onCommandCallback(character, decision.skillId, decision);
         }
     }
 
     hitEffect(target, damage, color) {
+        this.showEffectText(target, '-' + damage, color);
+    }
+
+    // 캐릭터 머리 위에 글자를 띄웠다가 사라지게 한다
+    showEffectText(target, message, color) {
         const style = new PIXI.TextStyle();
         style.dropShadow = true;
         style.dropShadowDistance = 3;
@@ -310,7 +803,7 @@ class Battle {
         style.fontWeight = 'bold';
         style.fontSize = 20;
         style.fill = color ? color : "#ffffff";
-        const text = new PIXI.Text('-' + damage, style);
+        const text = new PIXI.Text(message, style);
         text.anchor.x = 0.5;
         text.position.y = -24;
         text.alpha = 0;
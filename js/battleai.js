@@ -0,0 +1,239 @@
+// 전투에서 적이 할 행동을 정한다
+// 몬스터 클래스는 aiProfile 에 AI_PROFILES 의 아이디를 가진다 (없으면 "default")
+//  - behaviors : 차례대로 시도할 행동. 처음으로 결정을 돌려준 행동을 쓴다
+//      flee : 체력이 fleeHp 비율 이하면 상대들과 가장 먼 셀로 도망간다
+//      heal_ally : 체력 비율이 healHp 이하인 아군이 있으면 회복 스킬을 쓴다
+//      use_skill : 쿨다운이 끝난 스킬(기본 공격 제외)중 하나를 쓴다
+//      attack : 기본 공격을 한다. 닿는 상대가 없으면 targeting 으로 고른 상대에게 다가간다
+//  - targeting : 공격 대상을 고르는 규칙 (AI_TARGETING)
+//  - fleeHp, healHp : flee, heal_ally 가 움직이기 시작하는 체력 비율
+// 결정은 { action: "skill", skillId, target, moveTo } 또는 { action: "flee" | "move", x, y } 또는 { action: "wait" } 이다
+// 전투에서는 이번 턴에 움직여서 닿는 상대만 고르고, 움직여야 닿으면 moveTo 에 먼저 갈 셀을 넣는다
+const AI_PROFILES = {
+    default: {
+        behaviors: ["use_skill", "attack"],
+        targeting: "first"
+    },
+
+    // 멀리서 회복 담당부터 노린다
+    Medusa: {
+        behaviors: ["flee", "use_skill", "attack"],
+        targeting: "healer",
+        fleeHp: 0.2
+    },
+
+    // 가장 약한 상대를 두들긴다
+    Troll: {
+        behaviors: ["use_skill", "attack"],
+        targeting: "lowest_hp"
+    },
+
+    // 무리지어 약한 상대를 노리고 다치면 물러난다
+    Wolf: {
+        behaviors: ["flee", "use_skill", "attack"],
+        targeting: "lowest_hp",
+        fleeHp: 0.3
+    }
+};
+
+// 공격 대상을 고르는 규칙. 살아있는 후보중에서 고른다
+const AI_TARGETING = {
+    first: (character, candidates) => {
+        return candidates[0];
+    },
+
+    lowest_hp: (character, candidates) => {
+        return candidates.reduce((lowest, target) => (target.hp < lowest.hp) ? target : lowest);
+    },
+
+    // 회복 스킬이 있는 상대가 없으면 체력이 가장 낮은 상대
+    healer: (character, candidates) => {
+        const healer = candidates.find((target) => target.skills.some((id) => Skill.get(id).type === "heal"));
+        return healer || AI_TARGETING.lowest_hp(character, candidates);
+    },
+
+    random: (character, candidates, random) => {
+        return random.pick(candidates);
+    }
+};
+
+const AI_BEHAVIORS = {
+    flee: (ai, context) => {
+        const character = context.character;
+        if (character.hp / character.maxHp > (ai.fleeHp || 0) || !context.battle) {
+            return null;
+        }
+
+        // 가장 가까운 상대까지의 거리가 지금보다 멀어지는 셀중 가장 먼 곳
+        // 거리는 이동과 사거리처럼 스테이지의 그리드 거리로 잰다 (대각선 이동이 켜져 있으면 대각선 한칸도 1)
+        const stage = context.battle.game.stage;
+        const distanceFrom = (x, y) => {
+            return Math.min(...context.enemies.map((enemy) => stage.getGridDistance(enemy.gridX, enemy.gridY, x, y)));
+        };
+        let best = null;
+        let bestDistance = distanceFrom(character.gridX, character.gridY);
+        context.battle.getMovableCells(character).forEach((cell) => {
+            const distance = distanceFrom(cell.x, cell.y);
+            if (distance > bestDistance || (best && distance === bestDistance && context.random.next() < 0.5)) {
+                best = cell;
+                bestDistance = distance;
+            }
+        });
+        return best ? { action: "flee", x: best.x, y: best.y } : null;
+    },
+
+    heal_ally: (ai, context) => {
+        const skillId = context.character.skills.find((id) => {
+            const skill = Skill.get(id);
+            return skill.type === "heal" && skill.canUse(context.character);
+        });
+        if (!skillId) {
+            return null;
+        }
+        const wounded = context.allies.filter((ally) => {
+            return ally.hp / ally.maxHp <= (ai.healHp || 0.5) && ai.canReach(context, Skill.get(skillId), ally);
+        });
+        if (wounded.length === 0) {
+            return null;
+        }
+        return { action: "skill", skillId: skillId, target: AI_TARGETING.lowest_hp(context.character, wounded) };
+    },
+
+    // 쓸 수 있는 스킬이 여러개면 무작위로 하나를 쓴다
+    use_skill: (ai, context) => {
+        const usable = context.character.skills.filter((id) => id !== "attack" && Skill.get(id).canUse(context.character));
+        if (usable.length === 0) {
+            return null;
+        }
+        const skill = Skill.get(context.random.pick(usable));
+        const target = ai.chooseTarget(context, skill);
+        if (!target) {
+            return null;
+        }
+        return { action: "skill", skillId: skill.id, target: target };
+    },
+
+    attack: (ai, context) => {
+        const target = ai.chooseTarget(context, Skill.get("attack"));
+        if (!target) {
+            return ai.approach(context);
+        }
+        return { action: "skill", skillId: "attack", target: target };
+    }
+};
+
+// 같은 seed 로 만들면 항상 같은 순서의 수를 돌려준다 (mulberry32)
+class SeededRandom {
+    constructor(seed) {
+        this.seed = seed >>> 0;
+        this.state = this.seed;
+    }
+
+    // [0, 1) 사이의 수
+    next() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    pick(list) {
+        return list[Math.floor(this.next() * list.length)];
+    }
+}
+
+class BattleAI {
+    constructor(id, data) {
+        this.id = id;
+        Object.assign(this, data);
+    }
+
+    static get(id) {
+        const data = AI_PROFILES[id || "default"];
+        if (!data) {
+            const error = new Error("unknown ai profile: " + id);
+            error.aiProfile = id;
+            throw error;
+        }
+        return new BattleAI(id || "default", data);
+    }
+
+    // allies 는 character 의 편, enemies 는 상대편이다
+    // battle 은 이동할 수 있는 셀을 찾을때 쓰고, 없으면 도망가지 않는다
+    decide(character, allies, enemies, random, battle) {
+        const context = {
+            character: character,
+            allies: allies.filter((ally) => ally.hp > 0),
+            enemies: enemies.filter((enemy) => enemy.hp > 0),
+            random: random,
+            battle: battle
+        };
+
+        for (const name of this.behaviors) {
+            const behavior = AI_BEHAVIORS[name];
+            if (!behavior) {
+                const error = new Error("unknown ai behavior: " + name);
+                error.aiProfile = this.id;
+                throw error;
+            }
+            const decision = behavior(this, context);
+            if (decision) {
+                if (decision.action === "skill" && battle) {
+                    const cell = battle.findAttackCell(character, Skill.get(decision.skillId), decision.target);
+                    if (cell && (cell.x !== character.gridX || cell.y !== character.gridY)) {
+                        decision.moveTo = { x: cell.x, y: cell.y };
+                    }
+                }
+                return decision;
+            }
+        }
+        return this.approach(context) || { action: "wait" };
+    }
+
+    // 이번 턴에 움직여서 skill 이 target 에 닿는가. 전투 밖에서는 항상 닿는다고 본다
+    canReach(context, skill, target) {
+        return !context.battle || !!context.battle.findAttackCell(context.character, skill, target);
+    }
+
+    // 스킬의 대상 진영에서 targeting 규칙으로 고른다. 아군에게 쓰는 스킬은 체력 비율이 낮은 아군
+    // 닿는 대상이 없으면 null
+    chooseTarget(context, skill) {
+        if (!skill.needsTarget()) {
+            return skill.getDefaultTarget(context.character, context.allies, context.enemies);
+        }
+        if (skill.target !== "enemy") {
+            const target = skill.getDefaultTarget(context.character, context.allies, context.enemies);
+            return (target && this.canReach(context, skill, target)) ? target : null;
+        }
+        const candidates = context.enemies.filter((enemy) => this.canReach(context, skill, enemy));
+        if (candidates.length === 0) {
+            return null;
+        }
+        const rule = AI_TARGETING[this.targeting] || AI_TARGETING.first;
+        return rule(context.character, candidates, context.random);
+    }
+
+    // 닿는 상대가 없을때 targeting 으로 고른 상대와 가장 가까워지는 셀로 간다. 더 가까워질 수 없으면 null
+    approach(context) {
+        if (!context.battle || context.enemies.length === 0) {
+            return null;
+        }
+        const character = context.character;
+        const rule = AI_TARGETING[this.targeting] || AI_TARGETING.first;
+        const target = rule(character, context.enemies, context.random);
+        const stage = context.battle.game.stage;
+        const distanceTo = (x, y) => stage.getGridDistance(target.gridX, target.gridY, x, y);
+
+        let best = null;
+        let bestDistance = distanceTo(character.gridX, character.gridY);
+        context.battle.getMovableCells(character).forEach((cell) => {
+            const distance = distanceTo(cell.x, cell.y);
+            if (distance < bestDistance || (best && distance === bestDistance && cell.cost < best.cost)) {
+                best = cell;
+                bestDistance = distance;
+            }
+        });
+        return best ? { action: "move", x: best.x, y: best.y } : null;
+    }
+}
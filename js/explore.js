@@ -1,6 +1,10 @@
+// 순찰하는 캐릭터가 순찰 지점에 도착하거나 길이 막혔을때 쉬는 시간 (프레임)
+const PATROL_REST_FRAMES = 90;
+
 class Explore {
     constructor(game) {
         this.game = game;
+        this.patrols = [];
     }
 
     prepare() {
@@ -12,18 +16,25 @@ class Explore {
             const stage = this.game.stage
             const player = this.game.player;
             stage.addCharacter(player, this.backupX, this.backupY);
-            stage.checkForFollowCharacter(player, true);
+            stage.controlCharacter = player;
+            stage.camera.follow(player, true);
             player.setUiVisible(this.game, false);
             
         } else {
-            const spawnPoint = { x: 3, y: 1 };
-
             const stage = this.game.stage
+            const spawnPoint = stage.getSpawnPoint("player") || { x: 3, y: 1 };
+
             const player = this.game.player;
             stage.addCharacter(player, spawnPoint.x, spawnPoint.y);
-            stage.checkForFollowCharacter(player, true);
+            stage.controlCharacter = player;
+            stage.camera.follow(player, true);
             player.setUiVisible(this.game, false);
 
+            // 어두운 스테이지에서는 플레이어가 횃불을 들고 다닌다
+            if (stage.lighting) {
+                stage.addLight({ target: player, radius: 4, color: 0xFFB060, intensity: 0.9, flicker: 0.15 });
+            }
+
             // 캐릭터 방향을 돌린다
             this.game.player.changeVisualToDirection(DIRECTIONS.SE);
 
@@ -33,7 +44,11 @@ class Explore {
             this.game.stage.showPathHighlight = false;
 
             this.game.stage.onTouchObject = this.onTouchObject.bind(this);
-            this.game.stage.onTilePassing = this.onTilePassing.bind(this);
+            this.game.stage.onTriggerEnter = this.onTriggerEnter.bind(this);
+
+            // 맵에 배치된 NPC 를 추가한다
+            this.patrols = [];
+            this.addPlacements(stage);
 
             // 게이트를 열어놓는다
             const gate = this.game.stage.getObjectAt(3, 1);
@@ -81,15 +96,69 @@ class Explore {
         }
     }
 
-    onTouchObject(obj) {
-        if (obj) {
+    // 플레이어가 오브젝트 앞에 도착했을때만 인터랙션한다 (다른 캐릭터들도 같은 맵에서 움직인다)
+    onTouchObject(obj, character) {
+        if (obj && character === this.game.player) {
             obj.touch(this.game);
         }
     }
 
-    onTilePassing(obj) {
+    // placement 의 character 프라퍼티에 캐릭터 클래스 이름이 있으면 만들어서 배치한다
+    addPlacements(stage) {
+        for (const placement of stage.placements) {
+            const CharacterClass = Engine[placement.properties.character];
+            if (!CharacterClass) {
+                continue;
+            }
+            const character = new CharacterClass();
+            stage.addCharacter(character, placement.x, placement.y);
+            if (placement.properties.direction) {
+                character.changeVisualToDirection(DIRECTIONS[placement.properties.direction]);
+            }
+            if (placement.patrol) {
+                this.addPatrol(character, placement);
+            }
+        }
+    }
+
+    // patrol 프라퍼티의 지점들(TiledMapBuilder 가 그리드 좌표로 바꿔둔다)과 처음 위치를 차례대로 돌아다닌다
+    // 다른 캐릭터와 길이 겹치면 맵이 기다리거나 길을 다시 찾아주고, 그래도 막히면 쉬었다가 다음 지점으로 간다
+    addPatrol(character, placement) {
+        const route = [{ x: placement.x, y: placement.y }].concat(placement.patrol);
+        const patrol = { character: character, route: route, index: 0, rest: PATROL_REST_FRAMES };
+        const rest = () => {
+            patrol.rest = PATROL_REST_FRAMES;
+        };
+        character.on('movearrive', rest);
+        character.on('moveblocked', rest);
+        this.patrols.push(patrol);
+    }
+
+    // 쉬는 시간이 끝난 순찰 캐릭터를 다음 지점으로 보낸다
+    updatePatrols() {
+        const stage = this.game.stage;
+        for (const patrol of this.patrols) {
+            const character = patrol.character;
+            if (character.isMoving || character.waitingPath) {
+                continue;
+            }
+            if (patrol.rest > 0) {
+                --patrol.rest;
+                continue;
+            }
+            patrol.index = (patrol.index + 1) % patrol.route.length;
+            const point = patrol.route[patrol.index];
+            const path = stage.moveCharacter(character, point.x, point.y);
+            if (!path || path.length === 0) {
+                // 이미 그 지점에 있거나 갈 수 없으면 쉬었다가 다음 지점으로 간다
+                patrol.rest = PATROL_REST_FRAMES;
+            }
+        }
+    }
+
+    onTriggerEnter(obj, trigger) {
         if (obj === this.game.player) {
-            if (obj.gridX === 18 && (obj.gridY === 15 || obj.gridY === 16)) {
+            if (trigger.name === "exit") {
                 // 컷신을 튼다
                 this.cutscene = true;
                 this.game.ui.showTheaterScreen(1);
@@ -105,7 +174,7 @@ class Explore {
                 
                 // 다시 1초후에 화면을 암전하고 엔딩크레딧을 보여준다
                 setTimeout(() => {
-                    const sprite = new PIXI.Sprite(PIXI.Texture.fromFrame("ending.png"));
+                    const sprite = new ScreenImage("ending.png", this.game.screenWidth, this.game.screenHeight);
                     this.game.ui.addChild(sprite);
                     sprite.alpha = 0;
                     this.game.tweens.addTween(sprite, 1, { alpha: 1 }, 0, "easeIn", true);
@@ -125,21 +194,23 @@ class Explore {
         // ui 클릭을 만들어야 한다
     }
 
-    onTileSelected(x, y) {
+    onTileSelected(x, y, picked) {
         // 해당 타일이 이동가능한 타일인가?
-        const target =  this.game.stage.getObjectAt(x, y);
+        // 화면에서 직접 클릭한 오브젝트가 있으면 그것이 타겟이다
+        const target = picked || this.game.stage.getObjectAt(x, y);
         this.target = target;
-        // 해당 타일에 무엇이 있는지 확인한다
-        // 목표에 도착했을때 타겟에 대한 인터랙션을 어떻게 하지?
 
-        // 이동 루틴을 다시 만들어야 한다
-        // 타겟이 있을때에는 타겟을 제외한 패스가 만들어졌을때 마지막 패스끝에 타겟 인터랙션을 달아야 한다.
-        // 패스가 만들어지지 않으면, 타겟팅을 지정하지 않고 근접한 곳까지 이동한다
-        this.game.stage.moveCharacter(this.game.player, x, y);
+        // 오브젝트나 캐릭터를 클릭했으면 그 옆까지 가고 (인터랙션은 도착했을때 맵이 처리한다)
+        // 빈 셀인데 갈 수 없는 곳이면 움직이지 않고 X 표시를 보여준다
+        const stage = this.game.stage;
+        const mode = target ? "adjacent" : "refuse";
+        if (!stage.moveCharacter(this.game.player, x, y, mode)) {
+            stage.showBlockedMarker(x, y);
+        }
     }
 
     update() {
-        
+        this.updatePatrols();
     }
     
 }
\ No newline at end of file
@@ -1,8 +1,11 @@
-class Game {
-    constructor(pixi) {
+// 화면 크기가 바뀌면 'resize' (screenWidth, screenHeight) 이벤트를 보낸다
+class Game extends PIXI.utils.EventEmitter {
+    constructor(pixi, assets) {
+        super();
 
-        const width = pixi.renderer.width;
-        const height = pixi.renderer.height;
+        // 스테이지 스케일을 뺀 논리 해상도를 사용한다 (renderer.width 는 devicePixelRatio 가 곱해진 값이다)
+        const width = Math.round(pixi.screen.width / pixi.stage.scale.x);
+        const height = Math.round(pixi.screen.height / pixi.stage.scale.y);
 
         this.screenWidth = width;
         this.screenHeight = height;
@@ -23,6 +26,25 @@ class Game {
 
         this.foreground.mouseup = this.onForegroundClick.bind(this);
         this.foreground.interactive = true;
+
+        // 카메라 조작. 맵이 없는 곳을 잡아도 드래그할 수 있도록 화면 전체를 입력 영역으로 한다
+        this.gamelayer.hitArea = new PIXI.Rectangle(0, 0, width, height);
+        this.gamelayer.pointerdown = this.onGamePointerDown.bind(this);
+        this.gamelayer.pointermove = this.onGamePointerMove.bind(this);
+        this.gamelayer.pointerup = this.onGamePointerUp.bind(this);
+        this.gamelayer.pointerupoutside = this.onGamePointerUp.bind(this);
+
+        // 휠은 PIXI 가 전달해주지 않으므로 캔버스에서 직접 받는다
+        const interaction = pixi.renderer.plugins.interaction;
+        pixi.view.addEventListener('wheel', (event) => {
+            const camera = this.getControllableCamera();
+            if (camera) {
+                event.preventDefault();
+                const point = new PIXI.Point();
+                interaction.mapPositionToPoint(point, event.clientX, event.clientY);
+                camera.onWheel(event.deltaY, this.gamelayer.toLocal(point));
+            }
+        }, { passive: false });
     
         // 암전용 블랙스크린을 설치한다
         const blackScreen = new PIXI.Sprite(PIXI.Texture.WHITE);
@@ -39,6 +61,8 @@ class Game {
         pixi.stage.filters = [blurFilter];
         this.blur = blurFilter;
 
+        this.assets = assets;
+        this.mapBuilder = new TiledMapBuilder(assets);
         this.tweens = new Tweens();
         this.battleMode = new Battle(this);
         this.exploreMode = new Explore(this);
@@ -54,122 +78,66 @@ class Game {
         whiteScreen.alpha = 0;
         pixi.stage.addChild(whiteScreen);
         this.whiteScreen = whiteScreen;
+
+        // 로딩 화면은 암전 화면 위에 보여야 한다
+        this.loadingScreen = new LoadingScreen(width, height);
+        pixi.stage.addChild(this.loadingScreen);
+
+        // 에러 핸들러. QA 빌드에서 어떤 에셋이 문제인지 확인하기 위해 사용한다
+        // onError(error) : error.resources 에 실패한 리소스 목록, error.problems 에 맵 데이터의 문제 목록이 들어있다
+        this.onError = null;
     }
 
-    preload(resources, onComplete) {
-        // TODO : 나중에 로딩 루틴을 하나로 통일 하여야 한다. 지금은 같은 코드의 중복이 너무 심하다
-        const loader = new PIXI.loaders.Loader();
-        for (const res of resources) {
-            if (Array.isArray(res)) {
-                if (!PIXI.utils.TextureCache[res[0]] && !PIXI.utils.BaseTextureCache[res[0]]) {
-                    loader.add(...res);
-                }
-            } else {
-                const texturePackName = res + '_image';
-                if (!PIXI.utils.TextureCache[res] && !PIXI.utils.BaseTextureCache[res] && 
-                    !PIXI.utils.TextureCache[texturePackName] && !PIXI.utils.BaseTextureCache[texturePackName]) {
-                    loader.add(res);
-                }
-            }
+    // 창 크기가 바뀌었을때 화면에 꽉 차야하는 것들을 다시 배치한다
+    resize(width, height) {
+        this.screenWidth = width;
+        this.screenHeight = height;
+        this.gamelayer.hitArea.width = width;
+        this.gamelayer.hitArea.height = height;
+
+        for (const screen of [this.blackScreen, this.whiteScreen]) {
+            screen.width = width + 128;
+            screen.height = height + 128;
         }
+        this.loadingScreen.layout(width, height);
 
-        loader.load((_, result) => {
-            if (onComplete) {
-                onComplete(result);
+        for (const child of this.background.children) {
+            if (child.layout) {
+                child.layout(width, height);
             }
-        });
+        }
+        if (this.stage) {
+            this.stage.resize(width, height);
+        }
+
+        this.emit('resize', width, height);
+    }
+
+    // 에러는 로딩화면과 onError 로만 알린다
+    reportError(error) {
+        if (this.onError) {
+            this.onError(error);
+        }
+    }
+
+    preload(groupNames) {
+        return this.assets.load(groupNames);
     }
 
     start(playerInfo) {
         // 플레이어 정보를 네트워크나 디스크로부터 읽어온 직후이다.
         // 플레이어가 어디에 위치 했는지 확인한다.
         // 플레이어 캐릭터를 만든다
-        this.loadCharacter(() => {
+        this.loadingScreen.show();
+        this.preload(["character:common", "character:knight", "effects"]).then(() => {
             this.player = new Player();
             // 플레이어가 속한 스테이지 들어간다
             this.enterStage(playerInfo.stagePath, "explore");
-        });
-        this.loadEffect(() => { });
-    }
-
-    loadEffect(onLoadComplete) {
-        const resources = [
-            "assets/slash_1.json"
-        ];
-
-        const loader = new PIXI.loaders.Loader();
-        for (const res of resources) {
-            if (Array.isArray(res)) {
-                if (!PIXI.utils.TextureCache[res[0]] && !PIXI.utils.BaseTextureCache[res[0]]) {
-                    loader.add(...res);
-                }
-            } else {
-                const texturePackName = res + '_image';
-                if (!PIXI.utils.TextureCache[res] && !PIXI.utils.BaseTextureCache[res] &&
-                    !PIXI.utils.TextureCache[texturePackName] && !PIXI.utils.BaseTextureCache[texturePackName]) {
-                    loader.add(res);
-                }
-            }
-        }
-
-        loader.load((_, resources) => {
-            if (onLoadComplete) {
-                onLoadComplete();
-            }
-        });
-    }
-
-    loadCharacter(onLoadComplete) {
-        const resources = [
-            "assets/night/atk_sw.json",
-            "assets/night/atk_nw.json",
-            "assets/night/idle_sw.json",
-            "assets/night/idle_nw.json",
-            "assets/night/walk_sw.json",
-            "assets/night/walk_nw.json",
-            
-            "assets/elid/elid_atk_nw.json",
-            "assets/elid/elid_atk_sw.json",
-            "assets/elid/elid_idle_nw.json",
-            "assets/elid/elid_idle_sw.json",
-
-            "assets/miluda/miluda_atk_sw.json",
-            "assets/miluda/miluda_atk_nw.json",
-            "assets/miluda/miluda_idle_sw.json",
-            "assets/miluda/miluda_idle_nw.json",
-
-            "assets/titan/monster2-atk_sw.json",
-            "assets/titan/monster2-idle_sw.json",
-
-            "assets/medusa/monster1-atk_sw.json",
-            "assets/medusa/monster1_idle_sw.json",
-            
-            ["shadow.png", "assets/shadow.png"],
-            ["pbar.png", "assets/pbar.png"],
-            ["pbar_r.png", "assets/pbar_r.png"],
-            ["pbar_g.png", "assets/pbar_g.png"],
-            ["pbar_o.png", "assets/pbar_o.png"]
-        ];
-
-        const loader = new PIXI.loaders.Loader();
-        for (const res of resources) {
-            if (Array.isArray(res)) {
-                if (!PIXI.utils.TextureCache[res[0]] && !PIXI.utils.BaseTextureCache[res[0]]) {
-                    loader.add(...res);
-                }
-            } else {
-                const texturePackName = res + '_image';
-                if (!PIXI.utils.TextureCache[res] && !PIXI.utils.BaseTextureCache[res] && 
-                    !PIXI.utils.TextureCache[texturePackName] && !PIXI.utils.BaseTextureCache[texturePackName]) {
-                    loader.add(res);
-                }
-            }
-        }
-
-        loader.load((_, resources) => { 
-            if (onLoadComplete) {
-                onLoadComplete();
-            }
+        }).catch((error) => {
+            this.reportError(error);
+            this.loadingScreen.showError(Game.getErrorMessage(error), () => {
+                this.start(playerInfo);
+            });
         });
     }
 
@@ -194,160 +162,98 @@ class Game {
         // =======================================================
 
 
-        // 필요한 리소스를 로딩한다
-        const resources = [
-            ["tiles.json", "assets/mapdata/tiles.json"],
-            ["tiles.png", "assets/mapdata/tiles.png"],
-            ["objects.json", "assets/mapdata/objects.json"],
-            ["objects.png", "assets/mapdata/objects.png"],
-            ["walls.json", "assets/mapdata/walls.json"],
-            ["walls.png", "assets/mapdata/walls.png"],
-            ["window_light.png", "assets/window_light.png"],
-            ["torch_light.png", "assets/torch_light.png"],
-            ["background.png", "assets/background.png"],
-            ["stealBarL.png", "assets/mapdata/stealBarL.png"],
-            ["stealBarR.png", "assets/mapdata/stealBarR.png"],
-        ];
-
-        const loader = new PIXI.loaders.Loader();
-        // 스테이지 기본 데이터
-        loader.add("stage", stagePath);
-
-        // 추가리소르를 로딩한다
-        for (const res of resources) {
-            if (Array.isArray(res)) {
-                if (!PIXI.utils.TextureCache[res[0]] && !PIXI.utils.BaseTextureCache[res[0]]) {
-                    loader.add(...res);
-                }
-            } else {
-                const texturePackName = res + '_image';
-                if (!PIXI.utils.TextureCache[res] && !PIXI.utils.BaseTextureCache[res] && 
-                    !PIXI.utils.TextureCache[texturePackName] && !PIXI.utils.BaseTextureCache[texturePackName]) {
-                    loader.add(res);
-                }
-            }
-        }
-
-
-        loader.load((_, resources) => { 
-            const mapData = resources["stage"].data; // 이것은 규칙을 정한다
-            const stage = new Engine.IsoMap(mapData.width, mapData.height, mapData.tilewidth, mapData.tileheight);
-
-            // 타일셋을 먼저 등록한다
-            for (const tileset of mapData.tilesets) {
-                const tiles = resources[tileset.source].data;
-                const prefix = tileset.source.replace('.json', '_');
-                const idStart = tileset.firstgid;
-
-                // ======================================================
-                // 타일안에 디테일 데이터가 있으면 별도로 처리한다
-                const customTileData = {};
-                if (tiles.tiles) {
-                    for (const data of tiles.tiles) {
-                        const custom = {};
-                        // 애니메이션 정보 복사
-                        if (data.animation) {
-                            custom.animations = [];
-                            for(const anim of data.animation) {
-                                custom.animations.push({
-                                    duration: anim.duration,
-                                    textureName: prefix + anim.tileid + ".png",
-                                })
-                            }
-                        }
-                        // 커스텀 프라퍼티 복사
-                        for( const property of data.properties) {
-                            if (property.name === "movable") {
-                                custom.movable = property.value;
-                            }
-                            else if(property.name === "objectType") {
-                                custom.objectType = property.value;
-                            } 
-                            else if (property.name === "tag") {
-                                custom.tags = property.value.split(';');
-                            }
-                            else if (property.name === "direction") {
-                                custom.direction = (property.value === "left") ? DIRECTIONS.SW : DIRECTIONS.SE;
-                            }
-                        }
-                        customTileData[data.id + idStart] = custom;
-                    }
-                }
-                // ======================================================
+        // 스테이지 파일을 먼저 읽고, 스테이지가 사용하는 리소스만 골라서 로딩한다
+        // 로딩 진행상황을 로딩화면에 보여준다
+        const onProgress = (ratio, resource) => {
+            this.loadingScreen.setProgress(ratio, resource.name);
+        };
+        this.loadingScreen.show();
+        this.assets.on('progress', onProgress);
+
+        const stageEntries = [{ name: stagePath, url: stagePath }];
+        let assetEntries = [];
+        let mapData;
+        let tilesets;
+        this.assets.loadEntries(stageEntries).then(() => {
+            assetEntries = stageEntries;
+            // JSON, TMX 어느쪽이든 같은 형식으로 읽는다
+            return TiledFormat.readMap(this.assets.get(stagePath).data);
+        }).then((data) => {
+            mapData = data;
+            return this.mapBuilder.loadTilesets(stagePath, mapData).then((result) => {
+                assetEntries = assetEntries.concat(result.entries);
+                tilesets = result.tilesets;
+
+                // 잘못된 데이터는 빌드하기 전에 걸러낸다
+                this.mapBuilder.validate(stagePath, mapData, tilesets);
+
+                const requiredEntries = this.mapBuilder.collectAssets(stagePath, mapData, tilesets);
+                return this.assets.loadEntries(requiredEntries).then(() => {
+                    assetEntries = assetEntries.concat(requiredEntries);
+                });
+            });
+        }).then(() => {
+            this.assets.off('progress', onProgress);
+            const stage = this.mapBuilder.build(mapData, tilesets);
+            stage.assetEntries = assetEntries;
+            return stage;
+        }).then((stage) => {
+            this.loadingScreen.hide();
 
-                for (let i = 0; i < tiles.tilecount; ++i) {
+            // 로딩 완료 콜백
+            if (onLoadComplete) {
+                onLoadComplete(stage);
+            }
+        }).catch((error) => {
+            // 스테이지를 준비하다 생긴 예외도 여기서 받아서 로딩화면이 멈춰있지 않게 한다
+            this.assets.off('progress', onProgress);
+            // 이미 잡아둔 리소스는 놓아준다. 재시도하면 다시 잡는다
+            this.assets.releaseEntries(assetEntries);
+            this.onStageLoadFailed(stagePath, onLoadComplete, error);
+        });
+    }
 
-                    const textureName = prefix + i + ".png";
-                    if (!PIXI.utils.TextureCache[textureName]) {
+    static getErrorMessage(error) {
+        if (error.resources) {
+            const urls = error.resources.map((resource) => resource.url);
+            return "리소스를 불러오지 못했습니다\n" + urls.join('\n');
+        }
+        if (error.problems) {
+            // 화면에는 앞의 몇개만 보여준다. 전체 목록은 onError 로 전달된다
+            const problems = error.problems.slice(0, 5);
+            if (error.problems.length > problems.length) {
+                problems.push("외 " + (error.problems.length - problems.length) + "개");
+            }
+            return error.message + "\n" + problems.join('\n');
+        }
+        return error.message;
+    }
 
-                        const image = resources[tiles.image].data;
+    onStageLoadFailed(stagePath, onLoadComplete, error) {
+        error.stagePath = stagePath;
+        this.reportError(error);
 
-                        const x = i % tiles.columns;
-                        const y = Math.floor(i / tiles.columns);
-                        const c = document.createElement('canvas');
-                        c.width = tiles.tilewidth + 2; 
-                        c.height = tiles.tileheight + 2;
-                        const context = c.getContext('2d');
-                        context.drawImage(image, x * tiles.tilewidth, y * tiles.tileheight, tiles.tilewidth, tiles.tileheight, 1, 1, tiles.tilewidth, tiles.tileheight);
-                        const texture = PIXI.Texture.fromCanvas(c, new PIXI.Rectangle (1, 1, tiles.tilewidth, tiles.tileheight));
-                        PIXI.Texture.addToCache(texture, textureName);
-                    }
-                    // TODO : 나중에 타일매니져로 교체한다
-                    stage.addTile(i+idStart, textureName, customTileData[i + idStart]); 
-                }
-            }
+        const retry = () => {
+            this.loadStage(stagePath, onLoadComplete);
+        };
 
-            // 타일맵을 설정한다
-            for (const layer of mapData.layers) {
-                for (let y = 0; y < layer.height;++y) {
-                    for (let x = 0; x < layer.width;++x) {
-                        // 맵툴문제 때문에 90 도를 뒤집어야 한다
-                        const index =  y + (layer.width - x -1) * layer.width;
-                        const tileId = layer.data[index];
-
-                        // 90 도 회전시킨다.
-                        if (layer.name === "Tiles") {
-                            // 타일
-                            stage.setGroundTile(x, y, tileId);
-                        } else {
-                            // 오브젝트이다
-                            stage.setObjectTile(x, y, tileId);
-                        }
-
-                        // 특수 타일 처리
-                        // 이 특수타일들에 대한 정보를 나중에 별도의 데이터로 분리해야한다.
-                        // { tileid , tiletype }
-                        // 앵커를 없애고 타일좌표로 맞추는것이 필요할지도 모르겠다.
-                        if (tileId === 282) {
-                            // 윈도우
-                            const light = new PIXI.Sprite(PIXI.Texture.fromFrame("window_light.png"));
-                            light.anchor.x = 1;
-                            light.position.x = stage.getTilePosXFor(x, y) + 15;
-                            light.position.y = stage.getTilePosYFor(x, y) + stage.TILE_HALF_H - 71;
-                            light.blendMode = PIXI.BLEND_MODES.ADD;
-                            stage.overlayContainer.addChild(light)
-                        } else if (tileId === 279) {
-                            // 토치 라이트
-                            const light = new PIXI.Sprite(PIXI.Texture.fromFrame("torch_light.png"));
-                            light.anchor.x = 0.5;
-                            light.anchor.y = 0.5;
-                            light.position.x = stage.getTilePosXFor(x, y) + 16;
-                            light.position.y = stage.getTilePosYFor(x, y) + stage.TILE_HALF_H - 69;
-                            light.blendMode = PIXI.BLEND_MODES.ADD;
-                            stage.overlayContainer.addChild(light)
-                        }
-                    }
-                }
-            }
+        // 되돌아갈 스테이지가 있을때만 취소할 수 있다
+        const abort = this.stage ? this.abortStageLoading.bind(this) : null;
+        this.loadingScreen.showError(Game.getErrorMessage(error), retry, abort);
+    }
 
-            // 렌더링 데이터를 빌드한다
-            stage.build();
+    abortStageLoading() {
+        // 스테이지 전환을 취소하고 원래의 스테이지로 되돌아간다
+        this.loadingScreen.hide();
+        if (this.nextStageMode === "battle") {
+            this.exploreMode.stage = undefined;
+        }
+        this.nextStageMode = null;
 
-            // 로딩 완료 콜백
-            if (onLoadComplete) {
-                onLoadComplete(stage);
-            }
-        });
+        this.background.addChild(new ScreenImage("background.png", this.screenWidth, this.screenHeight));
+        this.stage.resize(this.screenWidth, this.screenHeight);
+        this.gamelayer.addChild(this.stage);
+        this.tweens.addTween(this.blackScreen, 1, { alpha: 0 }, 0, "easeOut", true);
     }
 
     enterStage(stagePath, mode) {
@@ -380,10 +286,18 @@ class Game {
 
     onStageLoadCompleted(stage) {
         // 스테이지의 줌레벨을 결정한다
-        stage.zoomTo(2, true);
+        stage.resize(this.screenWidth, this.screenHeight);
+        stage.camera.zoomTo(2, true);
 
         // 백그라운드 이미지를 추가한다
-        this.background.addChild(new PIXI.Sprite(PIXI.Texture.fromFrame("background.png")));
+        this.background.addChild(new ScreenImage("background.png", this.screenWidth, this.screenHeight));
+
+        // 이전 스테이지의 리소스 참조를 해제한다
+        // 전투때문에 백업해 둔 스테이지는 돌아올때 다시 사용하므로 유지한다
+        const prevStage = this.stage;
+        if (prevStage && prevStage !== stage && prevStage !== this.exploreMode.stage) {
+            this.assets.releaseEntries(prevStage.assetEntries);
+        }
 
         this.stage = stage;
         this.gamelayer.addChild(stage);
@@ -405,7 +319,40 @@ class Game {
         });
     }
 
+    // 컷신중에는 카메라를 조작할 수 없다
+    getControllableCamera() {
+        if (!this.stage || (this.currentMode && this.currentMode.cutscene)) {
+            return null;
+        }
+        return this.stage.camera;
+    }
+
+    onGamePointerDown(event) {
+        const camera = this.getControllableCamera();
+        if (camera) {
+            camera.onPointerDown(event);
+        }
+    }
+
+    onGamePointerMove(event) {
+        const camera = this.getControllableCamera();
+        if (camera) {
+            camera.onPointerMove(event);
+        }
+    }
+
+    onGamePointerUp(event) {
+        // 누르고 있던 중에 컷신이 시작될 수 있으므로 떼는 입력은 항상 전달한다
+        if (this.stage) {
+            this.stage.camera.onPointerUp(event);
+        }
+    }
+
     onGameClick(event) {
+        // 드래그로 화면을 옮긴 입력은 클릭이 아니다
+        if (this.stage && this.stage.camera.dragged) {
+            return;
+        }
         if (this.currentMode && this.currentMode.onGameClick) {
             this.currentMode.onGameClick(event);
         }
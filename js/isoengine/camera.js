@@ -0,0 +1,388 @@
+// 맵을 비추는 카메라
+// 맵 컨테이너의 위치와 확대 비율을 정해서 화면에 보이는 영역을 결정한다
+//  - 맵의 가장자리 바깥은 보여주지 않는다
+//  - 따라가는 대상이 화면 중앙의 데드존을 벗어나면 부드럽게 따라간다
+//  - 드래그, 터치로 화면을 옮기고 휠, 핀치로 확대 단계 사이를 오간다
+//  - lookAt 은 이동이 끝나면 resolve 되는 프라미스를 돌려준다
+// options : { width, height, zoomLevels, deadZone, followLerp }
+class Camera {
+    constructor(map, options) {
+        options = options || {};
+        this.map = map;
+        this.container = map.mapContainer;
+
+        // 화면에서 맵이 보이는 영역
+        this.viewport = new PIXI.Rectangle(0, 0, options.width || 980, options.height || 500);
+        this.bounds = map.getMapBounds();
+
+        // 확대 단계. 휠, 버튼은 단계 사이를 오가고 핀치는 단계 범위 안에서 자유롭게 확대한다
+        this.zoomLevels = (options.zoomLevels || [1, 1.5, 2, 3]).slice().sort((a, b) => a - b);
+        this.minZoom = this.zoomLevels[0];
+        this.maxZoom = this.zoomLevels[this.zoomLevels.length - 1];
+        this.zoom = this.clampZoom(1);
+        this.zoomGoal = this.zoom;
+        this.zoomAnchor = null;
+
+        // 화면 중앙에 오는 맵 좌표
+        this.center = new PIXI.Point(this.bounds.x + this.bounds.width / 2, this.bounds.y + this.bounds.height / 2);
+
+        // 따라갈 대상. 대상이 데드존(화면 픽셀) 안에 있으면 움직이지 않는다
+        this.target = null;
+        this.deadZone = options.deadZone || { width: 96, height: 64 };
+        this.followLerp = options.followLerp || 0.15;
+        this.followSuspended = false;
+        this.suspendedAt = null;
+
+        // lookAt 으로 이동중인 정보
+        this.tween = null;
+
+        // 화면 흔들기
+        this.shakeStrength = 0;
+        this.shakeFrames = 0;
+        this.shakeTotalFrames = 0;
+        this.shakeOffset = new PIXI.Point();
+
+        // 드래그, 핀치 입력. 드래그가 있었으면 그 입력은 클릭으로 처리하지 않는다
+        this.pointers = {};
+        this.drag = null;
+        this.pinch = null;
+        this.dragged = false;
+        this.dragThreshold = 8;
+
+        this.apply();
+    }
+
+    setViewport(x, y, width, height) {
+        this.viewport.x = x;
+        this.viewport.y = y;
+        this.viewport.width = width;
+        this.viewport.height = height;
+        this.apply();
+    }
+
+    clampZoom(zoom) {
+        return Math.max(this.minZoom, Math.min(this.maxZoom, zoom));
+    }
+
+    // 보이는 영역이 맵 밖으로 나가지 않도록 중심을 제한한다. 맵이 화면보다 작으면 가운데에 둔다
+    clampCenter(point, zoom) {
+        const bounds = this.bounds;
+        const halfWidth = this.viewport.width / 2 / zoom;
+        const halfHeight = this.viewport.height / 2 / zoom;
+
+        if (bounds.width <= halfWidth * 2) {
+            point.x = bounds.x + bounds.width / 2;
+        } else {
+            point.x = Math.max(bounds.left + halfWidth, Math.min(bounds.right - halfWidth, point.x));
+        }
+        if (bounds.height <= halfHeight * 2) {
+            point.y = bounds.y + bounds.height / 2;
+        } else {
+            point.y = Math.max(bounds.top + halfHeight, Math.min(bounds.bottom - halfHeight, point.y));
+        }
+        return point;
+    }
+
+    // 화면 좌표를 맵 좌표로 바꾼다
+    screenToMap(x, y) {
+        const viewport = this.viewport;
+        return new PIXI.Point(
+            this.center.x + (x - viewport.x - viewport.width / 2) / this.zoom,
+            this.center.y + (y - viewport.y - viewport.height / 2) / this.zoom);
+    }
+
+    // 화면에 보이는 맵 영역
+    getViewRect() {
+        const width = this.viewport.width / this.zoom;
+        const height = this.viewport.height / this.zoom;
+        return new PIXI.Rectangle(this.center.x - width / 2, this.center.y - height / 2, width, height);
+    }
+
+    getMapCenter() {
+        return new PIXI.Point(this.bounds.x + this.bounds.width / 2, this.bounds.y + this.bounds.height / 2);
+    }
+
+    // 확대 비율을 바로 바꾼다. anchor(화면 좌표) 아래의 맵 좌표는 그대로 둔다
+    setZoom(zoom, anchor) {
+        zoom = this.clampZoom(zoom);
+        if (anchor) {
+            const local = this.screenToMap(anchor.x, anchor.y);
+            this.center.x = local.x - (anchor.x - this.viewport.x - this.viewport.width / 2) / zoom;
+            this.center.y = local.y - (anchor.y - this.viewport.y - this.viewport.height / 2) / zoom;
+        }
+        this.zoom = zoom;
+        this.clampCenter(this.center, zoom);
+    }
+
+    zoomTo(zoom, instantZoom, anchor) {
+        this.zoomGoal = this.clampZoom(zoom);
+        this.zoomAnchor = anchor || null;
+        if (instantZoom) {
+            this.setZoom(this.zoomGoal, this.zoomAnchor);
+            this.apply();
+        }
+    }
+
+    zoomIn(anchor) {
+        const level = this.zoomLevels.find((zoom) => zoom > this.zoomGoal + 0.001);
+        this.zoomTo(level !== undefined ? level : this.maxZoom, false, anchor);
+    }
+
+    zoomOut(anchor) {
+        const levels = this.zoomLevels.filter((zoom) => zoom < this.zoomGoal - 0.001);
+        this.zoomTo(levels.length > 0 ? levels[levels.length - 1] : this.minZoom, false, anchor);
+    }
+
+    follow(target, instantFollow) {
+        this.target = target;
+        this.followSuspended = false;
+        if (target && instantFollow) {
+            this.center.set(target.position.x, target.position.y);
+            this.apply();
+        }
+    }
+
+    stopFollow() {
+        this.target = null;
+    }
+
+    // 드래그로 화면을 옮긴 뒤에는 대상이 다시 움직일때까지 따라가지 않는다
+    suspendFollow() {
+        if (this.target) {
+            this.followSuspended = true;
+            this.suspendedAt = new PIXI.Point(this.target.position.x, this.target.position.y);
+        }
+    }
+
+    // 따라가던 대상이나 맵의 가운데로 되돌아간다
+    recenter() {
+        this.followSuspended = false;
+        if (this.target) {
+            return this.lookAt(this.target.position.x, this.target.position.y);
+        }
+        const center = this.getMapCenter();
+        return this.lookAt(center.x, center.y);
+    }
+
+    // 정해진 위치로 카메라를 옮긴다. 이동하는 동안에는 대상을 따라가지 않는다
+    // 다른 lookAt 이 끼어들면 이전 이동은 그 자리에서 끝난 것으로 본다
+    // options : { duration, delay, zoom, easing }
+    lookAt(x, y, options) {
+        options = options || {};
+        if (this.tween) {
+            this.tween.resolve();
+        }
+
+        return new Promise((resolve) => {
+            const zoom = options.zoom !== undefined ? this.clampZoom(options.zoom) : this.zoomGoal;
+            const duration = options.duration !== undefined ? options.duration : 0.5;
+            this.tween = {
+                to: this.clampCenter(new PIXI.Point(x, y), zoom),
+                toZoom: zoom,
+                from: null,
+                fromZoom: this.zoom,
+                delayFrames: Math.round((options.delay || 0) * 60),
+                currentFrame: 0,
+                totalFrames: Math.max(1, Math.round(duration * 60)),
+                easingFunc: getEasingFunc(options.easing || "easeInOut"),
+                resolve: resolve
+            };
+        });
+    }
+
+    // 오브젝트가 그려지는 영역의 가운데를 본다
+    lookAtObject(obj, options) {
+        const bounds = obj.getLocalBounds();
+        return this.lookAt(obj.position.x + bounds.x + bounds.width / 2, obj.position.y + bounds.y + bounds.height / 2, options);
+    }
+
+    lookAtMapCenter(options) {
+        const center = this.getMapCenter();
+        return this.lookAt(center.x, center.y, options);
+    }
+
+    shake(strength, duration) {
+        this.shakeStrength = strength || 4;
+        this.shakeTotalFrames = Math.max(1, Math.round((duration || 0.2) * 60));
+        this.shakeFrames = this.shakeTotalFrames;
+    }
+
+    onPointerDown(event) {
+        const data = event.data;
+        if (Object.keys(this.pointers).length === 0) {
+            this.dragged = false;
+        }
+        // 화면 좌표는 스테이지 스케일이 적용되어 있으므로 뷰포트와 같은 좌표계로 바꿔서 쓴다
+        this.pointers[data.identifier] = this.map.toLocal(data.global);
+        this.beginGesture();
+    }
+
+    onPointerMove(event) {
+        const data = event.data;
+        const pointer = this.pointers[data.identifier];
+        if (!pointer || this.tween) {
+            return;
+        }
+        this.map.toLocal(data.global, null, pointer);
+
+        const viewport = this.viewport;
+        if (this.pinch) {
+            const points = this.getPointerList();
+            const mid = new PIXI.Point((points[0].x + points[1].x) / 2, (points[0].y + points[1].y) / 2);
+            const distance = Math.max(1, Math.hypot(points[0].x - points[1].x, points[0].y - points[1].y));
+
+            // 처음 잡은 맵 좌표가 두 손가락의 가운데에 계속 오도록 한다
+            this.zoom = this.zoomGoal = this.clampZoom(this.pinch.zoom * distance / this.pinch.distance);
+            this.center.x = this.pinch.local.x - (mid.x - viewport.x - viewport.width / 2) / this.zoom;
+            this.center.y = this.pinch.local.y - (mid.y - viewport.y - viewport.height / 2) / this.zoom;
+            this.dragged = true;
+            this.suspendFollow();
+        } else if (this.drag) {
+            const dx = pointer.x - this.drag.x;
+            const dy = pointer.y - this.drag.y;
+            if (!this.dragged && Math.hypot(dx, dy) < this.dragThreshold) {
+                return;
+            }
+            this.center.x = this.drag.centerX - dx / this.zoom;
+            this.center.y = this.drag.centerY - dy / this.zoom;
+            this.dragged = true;
+            this.suspendFollow();
+        }
+        this.clampCenter(this.center, this.zoom);
+    }
+
+    onPointerUp(event) {
+        delete this.pointers[event.data.identifier];
+        this.beginGesture();
+    }
+
+    onWheel(deltaY, point) {
+        if (deltaY < 0) {
+            this.zoomIn(point);
+        } else if (deltaY > 0) {
+            this.zoomOut(point);
+        }
+    }
+
+    getPointerList() {
+        return Object.keys(this.pointers).map((id) => this.pointers[id]);
+    }
+
+    // 손가락 수가 바뀌면 현재 상태에서 드래그나 핀치를 새로 시작한다
+    beginGesture() {
+        const points = this.getPointerList();
+        this.drag = null;
+        this.pinch = null;
+
+        if (points.length === 1) {
+            this.drag = { x: points[0].x, y: points[0].y, centerX: this.center.x, centerY: this.center.y };
+        } else if (points.length >= 2) {
+            const mid = new PIXI.Point((points[0].x + points[1].x) / 2, (points[0].y + points[1].y) / 2);
+            this.pinch = {
+                distance: Math.max(1, Math.hypot(points[0].x - points[1].x, points[0].y - points[1].y)),
+                zoom: this.zoom,
+                local: this.screenToMap(mid.x, mid.y)
+            };
+        }
+    }
+
+    update() {
+        if (this.tween) {
+            this.updateTween();
+        } else {
+            this.updateZoom();
+            this.updateFollow();
+        }
+        this.updateShake();
+        this.apply();
+    }
+
+    updateTween() {
+        const tween = this.tween;
+        if (tween.delayFrames > 0) {
+            tween.delayFrames--;
+            return;
+        }
+        if (!tween.from) {
+            tween.from = new PIXI.Point(this.center.x, this.center.y);
+            tween.fromZoom = this.zoom;
+        }
+
+        tween.currentFrame++;
+        const t = tween.currentFrame;
+        const d = tween.totalFrames;
+        this.zoom = tween.easingFunc(t, tween.fromZoom, tween.toZoom - tween.fromZoom, d);
+        this.center.x = tween.easingFunc(t, tween.from.x, tween.to.x - tween.from.x, d);
+        this.center.y = tween.easingFunc(t, tween.from.y, tween.to.y - tween.from.y, d);
+
+        if (t >= d) {
+            this.tween = null;
+            this.zoom = this.zoomGoal = tween.toZoom;
+            tween.resolve();
+        }
+    }
+
+    updateZoom() {
+        if (this.zoom === this.zoomGoal) {
+            return;
+        }
+        let zoom = this.zoom + (this.zoomGoal - this.zoom) * 0.2;
+        if (Math.abs(this.zoomGoal - zoom) < 0.001) {
+            zoom = this.zoomGoal;
+        }
+        this.setZoom(zoom, this.zoomAnchor);
+    }
+
+    updateFollow() {
+        const target = this.target;
+        if (!target || this.drag || this.pinch) {
+            return;
+        }
+        if (this.followSuspended) {
+            if (target.position.x === this.suspendedAt.x && target.position.y === this.suspendedAt.y) {
+                return;
+            }
+            this.followSuspended = false;
+        }
+
+        // 데드존을 벗어난 만큼만 목표로 삼고 천천히 다가간다
+        const halfWidth = this.deadZone.width / 2 / this.zoom;
+        const halfHeight = this.deadZone.height / 2 / this.zoom;
+        const dx = target.position.x - this.center.x;
+        const dy = target.position.y - this.center.y;
+        let goalX = this.center.x;
+        let goalY = this.center.y;
+        if (dx > halfWidth) {
+            goalX = target.position.x - halfWidth;
+        } else if (dx < -halfWidth) {
+            goalX = target.position.x + halfWidth;
+        }
+        if (dy > halfHeight) {
+            goalY = target.position.y - halfHeight;
+        } else if (dy < -halfHeight) {
+            goalY = target.position.y + halfHeight;
+        }
+        this.center.x += (goalX - this.center.x) * this.followLerp;
+        this.center.y += (goalY - this.center.y) * this.followLerp;
+    }
+
+    updateShake() {
+        if (this.shakeFrames <= 0) {
+            this.shakeOffset.set(0, 0);
+            return;
+        }
+        this.shakeFrames--;
+        const strength = this.shakeStrength * this.shakeFrames / this.shakeTotalFrames;
+        this.shakeOffset.set((Math.random() * 2 - 1) * strength, (Math.random() * 2 - 1) * strength);
+    }
+
+    // 카메라 상태를 맵 컨테이너에 반영한다
+    apply() {
+        this.clampCenter(this.center, this.zoom);
+        const viewport = this.viewport;
+        this.container.scale.set(this.zoom);
+        this.container.position.set(
+            Math.round(viewport.x + viewport.width / 2 - this.center.x * this.zoom + this.shakeOffset.x),
+            Math.round(viewport.y + viewport.height / 2 - this.center.y * this.zoom + this.shakeOffset.y));
+    }
+}
@@ -1,9 +1,15 @@
 var Engine = {};
 
+// 화면 기준의 방향. 시계방향으로 1 부터 8 까지 번호를 붙인다
+// 그리드의 x 축이 NE, y 축이 SE 이고 대각선 이동은 S, W, N, E 가 된다
 DIRECTIONS = { 
+    S: 1,
     SW: 2,
+    W: 3,
     NW: 4,
+    N: 5,
     NE: 6,
+    E: 7,
     SE: 8
 };
 
@@ -16,6 +22,12 @@ function getDirection(x1, y1, x2, y2) {
         if (x1 < x2) { return DIRECTIONS.NE; }
         else if (x1 > x2)	{ return DIRECTIONS.SW; }
     }
+    else if (x1 < x2) {
+        return (y1 < y2) ? DIRECTIONS.E : DIRECTIONS.N;
+    }
+    else {
+        return (y1 < y2) ? DIRECTIONS.S : DIRECTIONS.W;
+    }
     return null;
 }
 
@@ -28,9 +40,29 @@ function getDirectionName(dir) {
         return 'ne';
     } else if (dir === DIRECTIONS.SW) {
         return 'sw';
+    } else if (dir === DIRECTIONS.S) {
+        return 's';
+    } else if (dir === DIRECTIONS.W) {
+        return 'w';
+    } else if (dir === DIRECTIONS.N) {
+        return 'n';
+    } else if (dir === DIRECTIONS.E) {
+        return 'e';
     }
 }
 
+// dir 에서 가까운 방향부터 차례로 돌려준다 (dir, 시계방향 1칸, 반시계방향 1칸, ...)
+function getNearestDirections(dir) {
+    const result = [dir];
+    for (let offset = 1; offset <= 4; offset++) {
+        result.push((dir - 1 + offset) % 8 + 1);
+        if (offset < 4) {
+            result.push((dir - 1 - offset + 8) % 8 + 1);
+        }
+    }
+    return result;
+}
+
 function isInPolygon(gp, vertices) {
 	const testy = gp.y;
 	const testx = gp.x;
@@ -54,11 +86,30 @@ function mathMap(v, min1, max1, min2, max2, noOutliers) {
     return min2 + (max2 - min2) * (v - min1) / (max1 - min1);
 };
 
+// 깜빡이는 빛의 밝기를 한 프레임 움직인다. 목표 밝기(flickerTarget)를 가끔 바꾸고 천천히 따라가게 해서 불꽃처럼 흔들리게 한다
+// state : { brightness, flickerTarget }, flicker : 0 ~ 1 깜빡이는 정도
+function updateFlicker(state, flicker) {
+    if (Math.random() < 0.1) {
+        state.flickerTarget = 1 - Math.random() * flicker;
+    }
+    state.brightness += (state.flickerTarget - state.brightness) * 0.3;
+}
+
 Engine.DIRECTIONS = DIRECTIONS;
 
 const TILE_WIDTH  = 32;
 const TILE_HEIGHT = 16;
 
+// 바닥 타일을 이 크기(셀 단위)의 청크로 묶어서 한장의 비트맵으로 굽는다
+const GROUND_CHUNK_SIZE = 16;
+// 컬링할때 화면 바깥으로 여유를 두는 거리 (픽셀)
+const CULL_MARGIN = 64;
+// 타일 하이라이트 색. 이동 비용이 큰 셀은 다른 색으로 보여준다
+const HIGHLIGHT_COLOR = 0x80d7ff;
+const SLOW_HIGHLIGHT_COLOR = 0xffb060;
+// 다음 셀이 막혔을때 비켜주기를 기다리는 프레임 수. 지나면 길을 다시 찾는다
+const MOVE_WAIT_FRAMES = 30;
+
 class Tile extends PIXI.Container {
     constructor(x, y, options) {
         super();
@@ -81,25 +132,20 @@ class Tile extends PIXI.Container {
         ];
         this.vertices = vertices;
 
-        // 하이라이트를 만든다
-        // TODO : 모든 타일에 대해서 하이라이트를 만들 필요가 있을까? 바닥타일만 하이라이트를 만들고 싶다
-        this.highlightedOverlay = new PIXI.Graphics();
-        this.highlightedOverlay.clear();
-        this.highlightedOverlay.lineStyle(2, 0xFFFFFF, 1);
-        this.highlightedOverlay.beginFill(0x80d7ff, 0.5);
-        this.highlightedOverlay.moveTo(vertices[0][0], vertices[0][1]);
-        for (let i = 1; i < vertices.length; i++)
-        {
-            this.highlightedOverlay.lineTo(vertices[i][0], vertices[i][1]);
-        }
-        this.highlightedOverlay.lineTo(vertices[0][0], vertices[0][1]);
-        this.highlightedOverlay.endFill();
-        this.addChild(this.highlightedOverlay);
-
-        this.highlightedOverlay.visible = false;
+        // 하이라이트는 처음 켜질때 만든다
+        // 비트맵으로 구워지는 바닥 타일은 highlightLayer 에 하이라이트를 따로 올린다
+        this.highlightedOverlay = null;
+        this.highlightLayer = null;
         this.isHighlighted = false;
         
         this.movable = options.movable || false;
+        // 셀을 지나가는 비용. 길찾기와 전투 이동력 계산에 쓴다
+        this.moveCost = options.moveCost || 1;
+
+        // 여러 셀을 차지하는 오브젝트. (gridX, gridY) 가 가장 앞쪽 셀이고
+        // x 방향으로 columnSpan, -y 방향으로 rowSpan 만큼 차지한다
+        this.columnSpan = options.columnSpan || 1;
+        this.rowSpan = options.rowSpan || 1;
     }
 
     setTexture(texture) {
@@ -116,17 +162,83 @@ class Tile extends PIXI.Container {
         this.removeChild(object);
     }
 
-    setHighlighted(isHighlighted) {
+    setHighlighted(isHighlighted, color) {
+        color = color || HIGHLIGHT_COLOR;
 
-        if (this.isHighlighted !== isHighlighted)
+        if (this.isHighlighted !== isHighlighted || (isHighlighted && this.highlightColor !== color))
         {
-            this.highlightedOverlay.visible = isHighlighted;
+            if (isHighlighted && !this.highlightedOverlay) {
+                this.highlightedOverlay = this.createHighlight();
+            }
+            if (isHighlighted && this.highlightColor !== color) {
+                this.drawHighlight(this.highlightedOverlay, color);
+            }
+            if (this.highlightedOverlay) {
+                this.highlightedOverlay.visible = isHighlighted;
+            }
             this.isHighlighted = isHighlighted;
         }
     }
+
+    drawHighlight(overlay, color) {
+        const vertices = this.vertices;
+        overlay.clear();
+        overlay.lineStyle(2, 0xFFFFFF, 1);
+        overlay.beginFill(color, 0.5);
+        overlay.moveTo(vertices[0][0], vertices[0][1]);
+        for (let i = 1; i < vertices.length; i++)
+        {
+            overlay.lineTo(vertices[i][0], vertices[i][1]);
+        }
+        overlay.lineTo(vertices[0][0], vertices[0][1]);
+        overlay.endFill();
+        this.highlightColor = color;
+    }
+
+    createHighlight() {
+        const overlay = new PIXI.Graphics();
+
+        if (this.highlightLayer) {
+            overlay.position.set(this.position.x, this.position.y);
+            this.highlightLayer.addChild(overlay);
+        } else {
+            this.addChild(overlay);
+        }
+        return overlay;
+    }
 }
 
 
+// 화면 영역을 일정한 크기의 칸으로 나누어서 오브젝트를 빠르게 찾는다
+class SpatialHash {
+    constructor(cellSize) {
+        this.cellSize = cellSize;
+        this.buckets = {};
+    }
+
+    insert(obj, x, y, width, height) {
+        const x0 = Math.floor(x / this.cellSize);
+        const y0 = Math.floor(y / this.cellSize);
+        const x1 = Math.floor((x + width) / this.cellSize);
+        const y1 = Math.floor((y + height) / this.cellSize);
+        for (let by = y0; by <= y1; ++by) {
+            for (let bx = x0; bx <= x1; ++bx) {
+                const key = bx + ',' + by;
+                if (!this.buckets[key]) {
+                    this.buckets[key] = [];
+                }
+                this.buckets[key].push(obj);
+            }
+        }
+    }
+
+    // 점이 속한 칸에 등록된 오브젝트들 (영역이 점을 포함하는지는 호출하는 쪽에서 확인한다)
+    query(x, y) {
+        const key = Math.floor(x / this.cellSize) + ',' + Math.floor(y / this.cellSize);
+        return (this.buckets[key] || []).slice();
+    }
+}
+
 class IsoMap extends PIXI.Container {
     constructor(width, height, tileWidth, tileHeight) {
         super();
@@ -139,17 +251,58 @@ class IsoMap extends PIXI.Container {
         this.TILE_HALF_H = tileHeight / 2;
 
         this.tiles = {}
-        this.groundMap = new Array(height * width);
-        this.objectMap = new Array(height * width);
+        this.groundMap = new Array(height * width);     // 셀마다 가장 위에 있는 바닥 타일
+        this.objectMap = new Array(height * width);     // 셀마다 가장 위에 있는 오브젝트
+        this.objectStackMap = new Array(height * width); // 셀을 기준으로 그려지는 모든 오브젝트 (아래에서 위 순서)
+        this.coverMap = new Array(height * width);      // 셀을 차지하고 있는 모든 오브젝트 (여러 셀을 차지하는 오브젝트 포함)
+        this.collisionMap = new Array(height * width);
+        this.groundLayers = [];
+        this.objects = [];
+
+        // Tiled 오브젝트 레이어로부터 만들어지는 정보들
+        this.spawnPoints = {};
+        this.triggers = [];
+        this.placements = [];
+
+        // 타일에 붙어있는 빛, 장식 스프라이트들
+        this.overlays = [];
+
+        // 동적 조명. 어둠이 설정되어야 조명 레이어가 만들어진다
+        this.lights = [];
+        this.lighting = null;
+
+        // 비트맵으로 구운 바닥 청크들. 화면 밖의 청크는 그리지 않는다
+        this.groundChunks = [];
+        this.cullKey = null;
+
+        // 맵 위의 캐릭터들. 움직이면 오브젝트 컨테이너를 다시 정렬한다
+        this.characters = [];
+        this.objectOrder = [];   // 오브젝트(타일)를 그리는 순서. 맵을 만들때 정한다
+        this.depthDirty = false;
+
+        // 셀마다 서있는 캐릭터들. 캐릭터가 있는 셀은 길찾기에서 막힌다
+        // 플레이어는 여러 맵을 오가므로 캐릭터의 셀은 맵이 따로 기억한다
+        this.occupancyMap = new Array(height * width);
+        this.characterCells = new Map();
+
+        // 여러 캐릭터가 동시에 움직일때 한 셀에 같이 들어가지 않도록, 들어가고 있는 셀을 예약한다
+        this.reservationMap = new Array(height * width);
+        this.characterReservations = new Map();
+        // 다음 셀이 비기를 기다리는 캐릭터들
+        this.waitingMovers = [];
+        // 경로 하이라이트를 보여줄 캐릭터 (플레이어)
+        this.controlCharacter = null;
        
         this.mapContainer = new PIXI.Container();
 	    this.addChild(this.mapContainer);
 
         this.groundContainer = new PIXI.Container();
+        this.highlightContainer = new PIXI.Container();
         this.objectContainer = new PIXI.Container()
         this.overlayContainer = new PIXI.Container()
 
         this.mapContainer.addChild(this.groundContainer);
+        this.mapContainer.addChild(this.highlightContainer);
         this.mapContainer.addChild(this.objectContainer);
         this.mapContainer.addChild(this.overlayContainer);
         
@@ -157,21 +310,10 @@ class IsoMap extends PIXI.Container {
 
         this.pathFinder = new PathFinder(this.mapWidth, this.mapHeight);
         this.moveEngine = new MoveEngine(this);
+        this.diagonalMovement = false;
 
-        this.currentScale = 1.0;
-        this.currentZoom = 0;
-    
-        this.posFrame = { x : 0, y : 0, w : 980, h : 500 };
-        this.externalCenter = {
-            x : this.posFrame.w >> 1,
-            y : this.posFrame.h >> 1
-        };
-
-        this.mapVisualWidthReal = this.getTilePosXFor(this.mapWidth - 1,this.mapHeight - 1) - this.getTilePosXFor(0,0);
-	    this.mapVisualHeightReal = this.getTilePosYFor(this.mapWidth - 1,0) - this.getTilePosYFor(0,this.mapHeight - 1);
-
-        this.currentFocusLocation = { x: this.mapWidth >> 1, y: this.mapHeight >> 1 };
-		this.centralizeToPoint(this.externalCenter.x, this.externalCenter.y, true);
+        // 화면에 보이는 영역은 카메라가 정한다
+        this.camera = new Camera(this);
     }
 
     // Obj를 흔들어주는 function 이런건 유틸쪽으로 빼야할까..?..
@@ -199,40 +341,6 @@ class IsoMap extends PIXI.Container {
         vibrate();
     }
 
-    zoomTo(scale, instantZoom) {
-        
-        this.externalCenter = this.externalCenter ? this.externalCenter : { x: (this.mapVisualWidthScaled >> 1), y: 0 };
-        const diff = { x: this.mapContainer.position.x + (this.mapVisualWidthScaled >> 1) - this.externalCenter.x, y: this.mapContainer.position.y - this.externalCenter.y };
-        const oldScale = this.currentScale;
-        
-        this.setScale(scale, instantZoom);
-        
-        const ratio = this.currentScale / oldScale;
-        this.centralizeToPoint(this.externalCenter.x + diff.x * ratio, this.externalCenter.y + diff.y * ratio, instantZoom);
-    }
-
-    setScale(s, instantZoom) {
-        this.currentScale = s;
-        this.mapVisualWidthScaled = this.mapVisualWidthReal * this.currentScale;
-        this.mapVisualHeightScaled = this.mapVisualHeightReal * this.currentScale;
-        
-        if (instantZoom) {
-            this.mapContainer.scale.set(this.currentScale);
-        } else {
-            this.moveEngine.addTween(this.mapContainer.scale, 0.5, { x: this.currentScale, y: this.currentScale }, 0, "easeInOut", true );
-        }
-    }
-
-    centralizeToPoint(px, py, instantRelocate) {
-        if (instantRelocate) {
-            this.mapContainer.position.x = px;
-            this.mapContainer.position.y = py;
-        }
-        else {
-            this.moveEngine.addTween(this.mapContainer.position, 0.5, { x: px, y: py }, 0, "easeInOut", true );
-        }
-    }
-
     addTile(id, textureName, options) {
         options = options || {};
         options.textureName = textureName;
@@ -253,24 +361,221 @@ class IsoMap extends PIXI.Container {
         else {
             tile = new Tile(x, y, tileData);
         }
-        tile.position.x = this.getTilePosXFor(x, y) - this.TILE_HALF_W;
+        tile.tileId = tileId;
+        // 여러 셀을 차지하는 오브젝트는 왼쪽으로 뻗은 만큼 이미지를 당긴다
+        tile.position.x = this.getTilePosXFor(x, y) - this.TILE_HALF_W - (tile.rowSpan - 1) * this.TILE_HALF_W;
         tile.position.y = this.getTilePosYFor(x ,y) + this.TILE_HALF_H;
         return tile;
     }
 
-    setGroundTile(x, y, tileId) {
+    // 바닥 레이어를 추가한다. 나중에 추가된 레이어가 위에 그려진다
+    // options : { opacity, visible }
+    addGroundLayer(name, options) {
+        options = options || {};
+
+        const container = new PIXI.Container();
+        container.alpha = options.opacity !== undefined ? options.opacity : 1;
+        container.visible = options.visible !== false;
+        this.groundContainer.addChild(container);
+
+        this.groundLayers.push({
+            name: name,
+            container: container,
+            tiles: new Array(this.mapHeight * this.mapWidth),
+            chunks: {}
+        });
+        return this.groundLayers.length - 1;
+    }
+
+    setGroundTile(x, y, tileId, layerIndex) {
         if (tileId > 0) {
-            this.groundMap[x + y * this.mapWidth] = this.generateTile(x, y, tileId);
+            if (this.groundLayers.length === 0) {
+                this.addGroundLayer("Tiles");
+            }
+            layerIndex = layerIndex !== undefined ? layerIndex : 0;
+            const layer = this.groundLayers[layerIndex];
+            const index = x + y * this.mapWidth;
+            const tile = this.generateTile(x, y, tileId);
+            layer.tiles[index] = tile;
+            this.addTileOverlay(tile);
+            this.addTileLight(tile);
+
+            // 위에 있는 레이어의 타일이 대표 타일이 된다
+            const top = this.groundMap[index];
+            if (!top || top.layerIndex <= layerIndex) {
+                tile.layerIndex = layerIndex;
+                this.groundMap[index] = tile;
+            }
         }
     }
 
-    setObjectTile(x, y, tileId) {
+    // options : { opacity, visible } 오브젝트가 속한 레이어의 속성
+    setObjectTile(x, y, tileId, options) {
         if (tileId > 0) {
-            this.objectMap[x + y * this.mapWidth] = this.generateTile(x, y, tileId);
+            options = options || {};
+            const index = x + y * this.mapWidth;
+            const tile = this.generateTile(x, y, tileId);
+            tile.baseAlpha = options.opacity !== undefined ? options.opacity : 1;
+            tile.alpha = tile.baseAlpha;
+            tile.visible = options.visible !== false;
+
+            if (!this.objectStackMap[index]) {
+                this.objectStackMap[index] = [];
+            }
+            this.objectStackMap[index].push(tile);
+            tile.depthOrder = this.objects.length;
+            this.objects.push(tile);
+
+            // 차지하는 모든 셀에 등록한다
+            this.forEachFootprintCell(tile, (cx, cy) => {
+                const coverIndex = cx + cy * this.mapWidth;
+                if (!this.coverMap[coverIndex]) {
+                    this.coverMap[coverIndex] = [];
+                }
+                this.coverMap[coverIndex].push(tile);
+                this.objectMap[coverIndex] = tile;
+            });
+            this.addTileOverlay(tile);
+            this.addTileLight(tile);
+        }
+    }
+
+    // 타일 데이터에 overlay 정보가 있으면 타일 위에 스프라이트를 붙인다
+    // overlay : { textureName, offsetX, offsetY, anchorX, anchorY, blendMode, flicker }
+    // 오프셋은 타일의 아래 꼭지점을 기준으로 한다
+    addTileOverlay(tile) {
+        const overlay = this.getTileData(tile.tileId).overlay;
+        if (!overlay) {
+            return;
+        }
+
+        const sprite = new PIXI.Sprite(PIXI.Texture.fromFrame(overlay.textureName));
+        sprite.anchor.set(overlay.anchorX, overlay.anchorY);
+        sprite.position.x = this.getTilePosXFor(tile.gridX, tile.gridY) + overlay.offsetX;
+        sprite.position.y = this.getTilePosYFor(tile.gridX, tile.gridY) + this.TILE_HALF_H + overlay.offsetY;
+        sprite.blendMode = overlay.blendMode;
+        this.overlayContainer.addChild(sprite);
+
+        this.overlays.push({
+            tile: tile,
+            sprite: sprite,
+            flicker: overlay.flicker,
+            brightness: 1,
+            flickerTarget: 1
+        });
+    }
+
+    // 타일 데이터에 light 정보가 있으면 타일 위치에 광원을 놓는다
+    // light : { radius, color, intensity, flicker }
+    addTileLight(tile) {
+        const light = this.getTileData(tile.tileId).light;
+        if (!light) {
+            return;
+        }
+        tile.light = this.addLight(Object.assign({ x: tile.gridX, y: tile.gridY }, light));
+    }
+
+    // 스테이지 전체의 어둠 정도 (0 ~ 1). 0 보다 크면 조명 레이어를 만든다
+    setAmbientDarkness(darkness) {
+        if (!this.lighting) {
+            if (darkness <= 0) {
+                return;
+            }
+            this.lighting = new LightingLayer(this);
+            // 오브젝트 위에, 빛 스프라이트 아래에 깐다
+            this.mapContainer.addChildAt(this.lighting, this.mapContainer.getChildIndex(this.overlayContainer));
+        }
+        this.lighting.setDarkness(darkness);
+    }
+
+    // options 는 PointLight 를 참고
+    addLight(options) {
+        const light = new PointLight(options);
+        this.lights.push(light);
+        if (this.lighting) {
+            this.lighting.dirty = true;
+        }
+        return light;
+    }
+
+    removeLight(light) {
+        const index = this.lights.indexOf(light);
+        if (index >= 0) {
+            this.lights.splice(index, 1);
+            if (this.lighting) {
+                this.lighting.dirty = true;
+            }
+        }
+    }
+
+    // 빛을 가리는 셀인가? 지나갈 수 없는 벽 오브젝트가 빛을 가린다
+    // 타일셋에서 blocksLight 프라퍼티로 따로 지정할 수 있다
+    isLightBlocked(x, y) {
+        if (x < 0 || y < 0 || x >= this.mapWidth || y >= this.mapHeight) {
+            return true;
+        }
+        const tile = this.getObjectAt(x, y);
+        if (!tile) {
+            return false;
+        }
+        const tileData = this.getTileData(tile.tileId);
+        if (tileData.blocksLight !== undefined) {
+            return tileData.blocksLight;
+        }
+        return !tile.movable && !tileData.objectType;
+    }
 
+    updateOverlays() {
+        for (const overlay of this.overlays) {
+            if (overlay.flicker) {
+                updateFlicker(overlay, overlay.flicker);
+                overlay.sprite.alpha = overlay.brightness;
+            }
         }
     }
 
+    // 오브젝트가 차지하는 셀들을 순회한다. 맵 밖의 셀은 건너뛴다
+    forEachFootprintCell(obj, callback) {
+        const columnSpan = obj.columnSpan || 1;
+        const rowSpan = obj.rowSpan || 1;
+        for (let x = obj.gridX; x < obj.gridX + columnSpan; ++x) {
+            for (let y = obj.gridY; y > obj.gridY - rowSpan; --y) {
+                if (x >= 0 && y >= 0 && x < this.mapWidth && y < this.mapHeight) {
+                    callback(x, y);
+                }
+            }
+        }
+    }
+
+    // 충돌 레이어에서 막힌 셀을 설정한다
+    setCollision(x, y, blocked) {
+        this.collisionMap[x + y * this.mapWidth] = blocked;
+    }
+
+    setSpawnPoint(name, x, y, properties) {
+        this.spawnPoints[name] = { x: x, y: y, properties: properties || {} };
+    }
+
+    getSpawnPoint(name) {
+        return this.spawnPoints[name] || null;
+    }
+
+    // trigger : { name, type, cells: [{ x, y }], properties }
+    addTrigger(trigger) {
+        this.triggers.push(trigger);
+    }
+
+    getTriggersAt(x, y) {
+        return this.triggers.filter((trigger) => {
+            return trigger.cells.some((cell) => cell.x === x && cell.y === y);
+        });
+    }
+
+    // placement : { name, type, x, y, properties } 맵에 배치된 NPC 등
+    addPlacement(placement) {
+        this.placements.push(placement);
+    }
+
     getTilePosXFor = function(c, r) {
         return (c * this.TILE_HALF_W) + (r * this.TILE_HALF_W);
     };
@@ -278,7 +583,30 @@ class IsoMap extends PIXI.Container {
     getTilePosYFor = function(c, r) {
         return (r * this.TILE_HALF_H) - (c * this.TILE_HALF_H);
     }
+
+    // getTilePosXFor, getTilePosYFor 의 역변환. 소수점 그리드 좌표를 돌려준다
+    getGridPosFor(px, py) {
+        const u = px / this.TILE_HALF_W;
+        const v = py / this.TILE_HALF_H;
+        return { x: (u - v) / 2, y: (u + v) / 2 };
+    }
+
+    // 맵이 그려지는 영역 (벽 타일의 높이만큼 위쪽 여유를 둔다)
+    getMapBounds() {
+        const wallHeight = 128;
+        const left = this.getTilePosXFor(0, 0) - this.TILE_HALF_W;
+        const top = this.getTilePosYFor(this.mapWidth - 1, 0) - this.TILE_HALF_H - wallHeight;
+        const right = this.getTilePosXFor(this.mapWidth - 1, this.mapHeight - 1) + this.TILE_HALF_W;
+        const bottom = this.getTilePosYFor(0, this.mapHeight - 1) + this.TILE_HALF_H;
+        return new PIXI.Rectangle(left, top, right - left, bottom - top);
+    }
     
+    // 화면 크기가 바뀌면 카메라 뷰포트를 맞추고 컬링을 다시 계산한다
+    resize(width, height) {
+        this.camera.setViewport(0, 0, width, height);
+        this.cullKey = null;
+    }
+
     getGroundTileAt(x, y) {
         return this.groundMap[x + y*this.mapWidth];
     }
@@ -287,6 +615,107 @@ class IsoMap extends PIXI.Container {
         return this.objectMap[x + y*this.mapWidth];
     }
 
+    // 이 셀을 기준으로 그려지는 오브젝트들
+    getObjectsAt(x, y) {
+        return this.objectStackMap[x + y*this.mapWidth] || [];
+    }
+
+    // 이 셀을 차지하고 있는 오브젝트들 (다른 셀을 기준으로 하는 큰 오브젝트 포함)
+    getObjectsCovering(x, y) {
+        return this.coverMap[x + y*this.mapWidth] || [];
+    }
+
+    // 이 셀에 서있는 캐릭터들
+    getCharactersAt(x, y) {
+        if (x < 0 || y < 0 || x >= this.mapWidth || y >= this.mapHeight) {
+            return [];
+        }
+        return (this.occupancyMap[x + y*this.mapWidth] || []).slice();
+    }
+
+    // except 말고 다른 캐릭터가 서있는 셀인가?
+    isOccupied(x, y, except) {
+        return this.getCharactersAt(x, y).some((character) => character !== except);
+    }
+
+    // except 말고 다른 캐릭터가 서있거나 들어가고 있는 셀인가?
+    isCellBlocked(x, y, except) {
+        if (this.isOccupied(x, y, except)) {
+            return true;
+        }
+        const reserved = this.reservationMap[x + y * this.mapWidth];
+        return !!reserved && reserved !== except;
+    }
+
+    // 캐릭터가 들어가고 있는 셀을 예약한다. 캐릭터당 한 셀만 예약한다
+    reserveCell(character, x, y) {
+        this.releaseCell(character);
+        const index = x + y * this.mapWidth;
+        this.reservationMap[index] = character;
+        this.characterReservations.set(character, index);
+        this.pathFinder.setOccupied(x, y, true);
+    }
+
+    releaseCell(character) {
+        const index = this.characterReservations.get(character);
+        if (index === undefined) {
+            return;
+        }
+        this.reservationMap[index] = undefined;
+        this.characterReservations.delete(character);
+        this.refreshOccupied(index);
+    }
+
+    // 서있는 캐릭터나 예약이 있으면 길찾기에서 막힌 셀이다
+    refreshOccupied(index) {
+        const occupied = (this.occupancyMap[index] || []).length > 0 || !!this.reservationMap[index];
+        this.pathFinder.setOccupied(index % this.mapWidth, Math.floor(index / this.mapWidth), occupied);
+    }
+
+    // 길을 찾는 동안 캐릭터 자신이 서있거나 예약한 셀은 막힌 셀로 보지 않는다
+    // 길을 찾은 뒤에는 refreshCharacterCells 로 되돌려야 한다
+    unblockCharacterCells(character) {
+        this.pathFinder.setOccupied(character.gridX, character.gridY, this.isCellBlocked(character.gridX, character.gridY, character));
+        const reserved = this.characterReservations.get(character);
+        if (reserved !== undefined) {
+            const x = reserved % this.mapWidth;
+            const y = Math.floor(reserved / this.mapWidth);
+            this.pathFinder.setOccupied(x, y, this.isOccupied(x, y, character));
+        }
+    }
+
+    refreshCharacterCells(character) {
+        this.refreshOccupied(character.gridX + character.gridY * this.mapWidth);
+        const reserved = this.characterReservations.get(character);
+        if (reserved !== undefined) {
+            this.refreshOccupied(reserved);
+        }
+    }
+
+    // 캐릭터가 서있는 셀을 옮기고 길찾기의 막힌 셀을 갱신한다
+    setCharacterCell(character, x, y) {
+        this.clearCharacterCell(character);
+
+        const index = x + y * this.mapWidth;
+        if (!this.occupancyMap[index]) {
+            this.occupancyMap[index] = [];
+        }
+        this.occupancyMap[index].push(character);
+        this.characterCells.set(character, index);
+        this.pathFinder.setOccupied(x, y, true);
+    }
+
+    clearCharacterCell(character) {
+        const index = this.characterCells.get(character);
+        if (index === undefined) {
+            return;
+        }
+        const occupants = this.occupancyMap[index];
+        occupants.splice(occupants.indexOf(character), 1);
+        this.characterCells.delete(character);
+        this.refreshOccupied(index);
+    }
+
     getTileData(tileid) {
         return this.tiles[tileid];
     }
@@ -295,19 +724,118 @@ class IsoMap extends PIXI.Container {
         for (let y = 0; y < this.mapHeight; y++ ) {
             for (let x = this.mapWidth - 1; x >= 0; --x) {
                 const index = x + y * this.mapWidth;
-                const groundTile = this.groundMap[index];
 
-                if (groundTile) {
-                    this.groundContainer.addChild(groundTile);
-                    this.pathFinder.setCell(x, y, groundTile.movable);
+                // 바닥은 레이어 순서대로 그린다
+                // 하나라도 이동가능한 타일이 있고, 명시적으로 막힌 타일이 없으면 이동할 수 있다
+                let hasGround = false;
+                let movable = false;
+                let blocked = false;
+                let moveCost = 1;
+                for (const layer of this.groundLayers) {
+                    const groundTile = layer.tiles[index];
+                    if (groundTile) {
+                        this.getGroundChunk(layer, x, y).addChild(groundTile);
+                        groundTile.highlightLayer = this.highlightContainer;
+                        hasGround = true;
+                        movable = movable || groundTile.movable;
+                        blocked = blocked || this.getTileData(groundTile.tileId).movable === false;
+                        moveCost = Math.max(moveCost, groundTile.moveCost);
+                    }
                 }
 
-                const objectTile = this.objectMap[index];
-                if (objectTile) {
-                    this.objectContainer.addChild(objectTile);   
-                    this.pathFinder.setDynamicCell(x, y, objectTile.movable);
+                // 오브젝트는 가장 앞쪽 셀에서 그린다. 그 셀이 차지하는 영역중 가장 나중에 그려지는 셀이다
+                for (const objectTile of this.getObjectsAt(x, y)) {
+                    this.objectContainer.addChild(objectTile);
                 }
-                
+                let objectMovable = true;
+                for (const objectTile of this.getObjectsCovering(x, y)) {
+                    objectMovable = objectMovable && objectTile.movable;
+                    moveCost = Math.max(moveCost, objectTile.moveCost);
+                }
+                if (hasGround) {
+                    this.pathFinder.setCell(x, y, movable && !blocked, moveCost);
+                }
+                if (this.collisionMap[index]) {
+                    objectMovable = false;
+                }
+                this.pathFinder.setDynamicCell(x, y, objectMovable);
+            }
+        }
+
+        this.bakeGroundChunks();
+        this.buildPickIndex();
+        // 오브젝트의 순서가 바뀌었으므로 캐릭터들과의 앞뒤도 다시 구한다
+        this.objectOrder = this.sortObjectDepths();
+        for (const character of this.characters) {
+            character.depthX = null;
+        }
+        for (const overlay of this.overlays) {
+            overlay.sprite.viewBounds = this.getViewBounds(overlay.sprite);
+        }
+        this.cullKey = null;
+        this.depthDirty = true;
+    }
+
+    getGroundChunk(layer, x, y) {
+        const chunkX = Math.floor(x / GROUND_CHUNK_SIZE);
+        const chunkY = Math.floor(y / GROUND_CHUNK_SIZE);
+        const key = chunkX + ',' + chunkY;
+        let chunk = layer.chunks[key];
+        if (!chunk) {
+            chunk = new PIXI.Container();
+            chunk.chunkX = chunkX;
+            chunk.chunkY = chunkY;
+            layer.chunks[key] = chunk;
+        }
+        return chunk;
+    }
+
+    // 청크를 셀과 같은 순서(y 는 작은것부터, x 는 큰것부터)로 그리고 각각 비트맵으로 굽는다
+    // 바닥 타일은 빌드 이후에 바뀌지 않는다고 본다
+    bakeGroundChunks() {
+        for (const layer of this.groundLayers) {
+            const chunks = Object.keys(layer.chunks).map((key) => layer.chunks[key]);
+            chunks.sort((a, b) => (a.chunkY - b.chunkY) || (b.chunkX - a.chunkX));
+            for (const chunk of chunks) {
+                layer.container.addChild(chunk);
+                chunk.viewBounds = this.getViewBounds(chunk);
+                chunk.cacheAsBitmap = true;
+                this.groundChunks.push(chunk);
+            }
+        }
+    }
+
+    // mapContainer 좌표계에서 오브젝트가 그려지는 영역
+    getViewBounds(obj) {
+        const bounds = obj.getLocalBounds();
+        return new PIXI.Rectangle(obj.position.x + bounds.x, obj.position.y + bounds.y, bounds.width, bounds.height);
+    }
+
+    // 화면 밖의 바닥 청크, 오브젝트, 장식은 그리지 않는다. 화면이 움직였을때만 다시 계산한다
+    // 움직이는 캐릭터는 항상 그린다
+    updateCulling() {
+        const container = this.mapContainer;
+        const scale = container.scale.x;
+        const key = container.position.x + ',' + container.position.y + ',' + scale;
+        if (this.cullKey === key) {
+            return;
+        }
+        this.cullKey = key;
+
+        const view = this.camera.getViewRect();
+        view.pad(CULL_MARGIN, CULL_MARGIN);
+
+        for (const chunk of this.groundChunks) {
+            chunk.renderable = hitTestRectangle(chunk.viewBounds, view);
+        }
+        for (const obj of this.objects) {
+            if (obj.viewBounds) {
+                obj.renderable = hitTestRectangle(obj.viewBounds, view);
+            }
+        }
+        for (const overlay of this.overlays) {
+            if (overlay.sprite.viewBounds) {
+                overlay.sprite.renderable = hitTestRectangle(overlay.sprite.viewBounds, view);
             }
         }
     }
@@ -324,41 +852,67 @@ class IsoMap extends PIXI.Container {
 
     checkForTileClick(mdata) {
         const localPoint = this.mapContainer.toLocal(mdata.global);
-        const selectedTile = this.getTileFromLocalPos(localPoint);
+
+        // 화면에 보이는 오브젝트나 캐릭터를 먼저 찾는다 (키가 큰 오브젝트의 윗부분을 클릭해도 선택된다)
+        const picked = this.pickObjectAt(mdata.global, localPoint);
+        const selectedTile = picked || this.getTileFromLocalPos(localPoint);
         if (selectedTile) {
            if (this.onTileSelected) {
-                this.onTileSelected(selectedTile.gridX, selectedTile.gridY);
+                this.onTileSelected(selectedTile.gridX, selectedTile.gridY, picked);
            }
         }
     }
 
+    // 화면 좌표를 그리드 좌표로 역산한다. 셀의 마름모는 그리드 공간에서 중심으로부터 0.5 씩의 정사각형이다
     getTileFromLocalPos(point) {
-        // 화면의 좌표를 구하는 방식을 역산한다.
-        // 중앙 센터포지션을 중심으로 바닥 타일을 감싸는 사각형을 그린다
-        // 이 사각형들은 겹쳐있기 때문에 여러개의 중첩되어서 나오게 된다.
-        // 이 중첩된 사각형중에 하나를 찾으면 된다.
-
-        // 찾기 귀찮으니 모든 타일을 검사하자..
-        for (let y = 0; y < this.mapHeight; ++y) {
-            for (let x = 0; x < this.mapWidth; ++x) {
-                // 중앙 포지션을 구한다
-                const cx = this.getTilePosXFor(x, y);
-                const cy = this.getTilePosYFor(x ,y);
-
-                if (cx - this.TILE_HALF_W <= point.x && point.x < cx + this.TILE_HALF_W && 
-                    cy - this.TILE_HALF_H <= point.y && point.y < cy + this.TILE_HALF_H) {
-
-                    // 타일마름모 안에 있는지 확인한다
-                    if (Math.abs(point.x - cx) * this.TILE_HALF_H / this.TILE_HALF_W + Math.abs(point.y - cy) <= this.TILE_HALF_H) {
-                        const index = x + y * this.mapWidth;
-                        return this.groundMap[index];
-                    }
-                }
+        const pos = this.getGridPosFor(point.x, point.y);
+        const x = Math.round(pos.x);
+        const y = Math.round(pos.y);
+        if (x < 0 || y < 0 || x >= this.mapWidth || y >= this.mapHeight) {
+            return null;
+        }
+        return this.groundMap[x + y * this.mapWidth];
+    }
+
+    // 선택할 수 있는 오브젝트(인터랙티브 오브젝트, 캐릭터)를 스프라이트의 픽셀 단위로 찾는다
+    // 앞에 그려진 것부터 검사하고, 선택할 수 없는 오브젝트(벽 등)가 먼저 맞으면 그 뒤는 가려진 것으로 본다
+    pickObjectAt(globalPoint, localPoint) {
+        const candidates = this.pickIndex ? this.pickIndex.query(localPoint.x, localPoint.y) : this.objects.slice();
+        for (const child of this.objectContainer.children) {
+            // 움직이는 캐릭터들은 인덱스에 넣지 않는다
+            if (!(child instanceof Tile)) {
+                candidates.push(child);
             }
         }
+
+        const depths = new Map();
+        for (const obj of candidates) {
+            depths.set(obj, this.objectContainer.children.indexOf(obj));
+        }
+        candidates.sort((a, b) => depths.get(b) - depths.get(a));
+
+        for (const obj of candidates) {
+            if (depths.get(obj) < 0 || !hitTestDisplayObject(obj, globalPoint)) {
+                continue;
+            }
+            if (obj.isInteractive || obj instanceof Character) {
+                return obj;
+            }
+            return null;
+        }
         return null;
     }
 
+    // 오브젝트 타일의 화면 영역으로 공간 인덱스를 만든다
+    buildPickIndex() {
+        this.pickIndex = new SpatialHash(64);
+        for (const obj of this.objects) {
+            const bounds = this.getViewBounds(obj);
+            obj.viewBounds = bounds;
+            this.pickIndex.insert(obj, bounds.x, bounds.y, bounds.width, bounds.height);
+        }
+    }
+
     addCharacter(character, x, y) {
         // 해당 좌표에 오브젝트를 추가한다
         // 오브젝트가 없는 곳에만 오브젝트를 추가할수 있다 (현재는)
@@ -371,35 +925,194 @@ class IsoMap extends PIXI.Container {
         character.container.position.x = - this.TILE_HALF_W;
         character.container.position.y = this.TILE_HALF_H;
 
-        this.addObjRefToLocation(character, x, y);
-        this.arrangeDepthsFromLocation(x, y);
+        character.gridX = x;
+        character.gridY = y;
+        this.objectContainer.addChild(character);
+        if (this.characters.indexOf(character) === -1) {
+            this.characters.push(character);
+        }
+        this.setCharacterCell(character, x, y);
+        this.depthDirty = true;
     }
 
-    moveCharacter(character, x, y) {
-
-        const target = this.getInteractiveTarget(x, y);
-        const ignoreTarget = target ? true : false;
+    removeCharacter(character) {
+        if (character.isMoving) {
+            this.stopObject(character);
+            character.isMoving = false;
+        }
+        this.stopWaiting(character);
+        this.releaseCell(character);
+        this.clearCharacterCell(character);
+        const index = this.characters.indexOf(character);
+        if (index !== -1) {
+            this.characters.splice(index, 1);
+        }
+        this.objectContainer.removeChild(character);
+    }
+
+    // 목적지에 갈 수 없을때의 처리를 mode 로 정한다
+    //  - "closest" : 가장 가까운 곳까지 간다 (기본)
+    //  - "adjacent" : 목적지가 막혀 있으면 (캐릭터, 벽 등) 그 옆까지 간다. 옆에도 갈 수 없으면 가지 않는다
+    //  - "refuse" : 목적지까지 갈 수 없으면 가지 않는다
+    // 움직일 경로를 돌려주고, 가지 않으면 null 을 돌려준다
+    // 여러 캐릭터가 동시에 움직일 수 있고, 캐릭터마다 다음 이벤트를 보낸다
+    //  - movestart (path) : 새 경로로 움직이기 시작했다
+    //  - movestep (x, y) : 한 셀을 다 움직였다
+    //  - movewait (x, y) : 다음 셀에 다른 캐릭터가 있어서 기다린다
+    //  - moverepath (path) : 오래 기다려서 길을 다시 찾았다
+    //  - moveblocked : 길이 막혀서 멈췄다
+    //  - movearrive (target) : 경로 끝에 도착했다. target 은 인터랙션할 오브젝트 (없으면 null)
+    moveCharacter(character, x, y, mode) {
+        mode = mode || "closest";
 
         // 다음 위치에서부터 시작을 한다
         const startX = character.currentTargetTile ? character.currentTargetTile.x : character.gridX;
         const startY = character.currentTargetTile ? character.currentTargetTile.y : character.gridY;
-        const path  = this.pathFinder.solve(startX, startY, x, y, ignoreTarget);
+        if (startX === x && startY === y) {
+            return [];
+        }
 
-        if (path) {
-            if (path[0].x === x && path[0].y === y) {
-                // 타겟을 설정한다
-                this.interactTarget = target;
-            } else {
-                this.interactTarget = null;
-            }
-            
-            // 길을 찾는다
-            if (character.isMoving) {
-                character.newPath = path;
-            } else {
-                this.moveObjThrough(character, path);
-            }
+        const result = this.findMovePath(character, startX, startY, x, y, mode);
+        if (!result) {
+            return null;
+        }
+        const path = result.path;
+        character.moveGoal = { x: x, y: y, mode: mode };
+        // 타겟 오브젝트 바로 앞에서 멈추고 인터랙션한다
+        character.interactTarget = (path.length > 0 && path[0].x === result.x && path[0].y === result.y) ? result.target : null;
+        if (path.length === 0) {
+            return path;
+        }
+
+        // 기다리고 있었다면 새 경로로 바로 움직인다
+        this.stopWaiting(character);
+        character.emit('movestart', path);
+        if (character.isMoving) {
+            character.newPath = path;
+        } else {
+            this.moveObjThrough(character, path);
         }
+        return path;
+    }
+
+    // 모드에 따라 경로를 찾는다. { path, target, x, y } 를 돌려주고 (x, y) 는 실제 목적지 셀이다
+    findMovePath(character, startX, startY, x, y, mode) {
+        const target = this.getInteractiveTarget(x, y);
+        const ignoreTarget = (target || mode === "adjacent") ? true : false;
+
+        this.unblockCharacterCells(character);
+        let path = null;
+        if (target && (target.columnSpan > 1 || target.rowSpan > 1)) {
+            // 여러 셀을 차지하는 오브젝트는 차지한 셀중에서 가장 가까운 곳으로 간다
+            const goal = { x: x, y: y };
+            this.forEachFootprintCell(target, (cx, cy) => {
+                const candidate = this.pathFinder.solve(startX, startY, cx, cy, true);
+                // 목적지까지 갈 수 있는 경로를 먼저 고르고, 그 다음은 짧은 경로를 고른다
+                if (candidate && (!path || (candidate.reachable && !path.reachable) ||
+                    (candidate.reachable === path.reachable && candidate.length < path.length))) {
+                    path = candidate;
+                    goal.x = cx;
+                    goal.y = cy;
+                }
+            });
+            x = goal.x;
+            y = goal.y;
+        } else {
+            path = this.pathFinder.solve(startX, startY, x, y, ignoreTarget);
+        }
+        const blocked = this.pathFinder.grid[y][x].isWall();
+        this.refreshCharacterCells(character);
+
+        if (!path || (!path.reachable && mode !== "closest")) {
+            return null;
+        }
+        if (!target && mode === "adjacent" && blocked) {
+            // 막힌 목적지 셀은 빼고 바로 앞에서 멈춘다
+            path = path.slice(1);
+        }
+        return { path: path, target: target, x: x, y: y };
+    }
+
+    // 갈 수 없는 곳을 클릭했을때 그 셀에 빨간 X 표시를 잠깐 보여준다
+    showBlockedMarker(x, y) {
+        if (!this.blockedMarker) {
+            const marker = new PIXI.Graphics();
+            const hw = this.TILE_HALF_W;
+            const hh = this.TILE_HALF_H;
+            marker.lineStyle(2, 0xFFFFFF, 1);
+            marker.beginFill(0xff4040, 0.5);
+            marker.moveTo(-hw, 0);
+            marker.lineTo(0, -hh);
+            marker.lineTo(hw, 0);
+            marker.lineTo(0, hh);
+            marker.lineTo(-hw, 0);
+            marker.endFill();
+            marker.lineStyle(2, 0xff2020, 1);
+            marker.moveTo(-hw / 2, -hh / 2);
+            marker.lineTo(hw / 2, hh / 2);
+            marker.moveTo(hw / 2, -hh / 2);
+            marker.lineTo(-hw / 2, hh / 2);
+            this.highlightContainer.addChild(marker);
+            this.blockedMarker = marker;
+        }
+
+        const marker = this.blockedMarker;
+        marker.position.set(this.getTilePosXFor(x, y), this.getTilePosYFor(x, y));
+        marker.visible = true;
+        marker.alpha = 1;
+        this.moveEngine.addTween(marker, 0.6, { alpha: 0 }, 0, "easeIn", true, () => {
+            marker.visible = false;
+        });
+    }
+
+    // 경로를 구한 뒤에 직선으로 갈 수 있는 구간을 펴준다
+    setPathSmoothing(enabled) {
+        this.pathFinder.setSmoothing(enabled);
+    }
+
+    // 대각선 이동을 켠다. cutCorners 가 true 이면 한쪽만 막힌 모서리는 비스듬히 지나갈 수 있다
+    setDiagonalMovement(enabled, cutCorners) {
+        this.diagonalMovement = enabled;
+        this.pathFinder.setDiagonal(enabled, cutCorners);
+    }
+
+    // 셀을 지나가는 비용. 막힌 셀은 0 이다
+    getMoveCost(x, y) {
+        return this.pathFinder.grid[y][x].weight;
+    }
+
+    // (x1, y1) 에서 (x2, y2) 가 보이는가. 벽이나 막힌 오브젝트가 시야를 가린다
+    hasLineOfSight(x1, y1, x2, y2) {
+        return this.pathFinder.hasLineOfSight({ x: x1, y: y1 }, { x: x2, y: y2 });
+    }
+
+    // 그리드 거리. 대각선 이동이 켜져 있으면 대각선 한칸도 1 이다
+    getGridDistance(x1, y1, x2, y2) {
+        const dx = Math.abs(x2 - x1);
+        const dy = Math.abs(y2 - y1);
+        return this.diagonalMovement ? Math.max(dx, dy) : dx + dy;
+    }
+
+    // budget 이하의 비용으로 캐릭터가 갈 수 있는 셀들 ({ x, y, cost } 의 배열)
+    findReachable(character, budget) {
+        this.unblockCharacterCells(character);
+        const cells = this.pathFinder.findReachable(character.gridX, character.gridY, budget);
+        this.refreshCharacterCells(character);
+        return cells;
+    }
+
+    // 캐릭터가 (x, y) 로 갈때 드는 비용. 갈 수 없으면 -1
+    getMoveCostTo(character, x, y) {
+        if (character.gridX === x && character.gridY === y) {
+            return 0;
+        }
+        this.unblockCharacterCells(character);
+        const path = this.pathFinder.solve(character.gridX, character.gridY, x, y, false);
+        this.refreshCharacterCells(character);
+        if (!path || !path.reachable) {
+            return -1;
+        }
+        return this.pathFinder.getPathCost(character.gridX, character.gridY, path);
     }
 
     getInteractiveTarget(x, y) {
@@ -425,8 +1138,15 @@ class IsoMap extends PIXI.Container {
             return;
         }
 
-        const isControlCharacter = true;
-        if (isControlCharacter & this.showPathHighlight) {
+        // 길을 찾은 뒤에 다른 캐릭터가 다음 셀에 있거나 들어가고 있으면 비켜주기를 기다린다
+        const nextTile = path[path.length - 1];
+        if (this.isCellBlocked(nextTile.x, nextTile.y, obj)) {
+            this.waitForCell(obj, path);
+            return;
+        }
+
+        const isControlCharacter = !this.controlCharacter || obj === this.controlCharacter;
+        if (isControlCharacter && this.showPathHighlight) {
             this.highlightPath(obj.currentPath, path);
         }
 
@@ -443,9 +1163,81 @@ class IsoMap extends PIXI.Container {
         obj.currentTarget = null;
         obj.currentTargetTile = null;
         this.moveEngine.removeMovable(obj);
+        this.releaseCell(obj);
+    }
+
+    // 제자리에 서서 다음 셀이 비기를 기다린다. updateWaitingMovers 가 매 프레임 확인한다
+    waitForCell(obj, path) {
+        const nextTile = path[path.length - 1];
+        this.moveEngine.removeMovable(obj);
+        obj.currentTarget = null;
+        obj.currentTargetTile = null;
+        obj.waitingPath = path;
+        obj.waitFrames = 0;
+        if (this.waitingMovers.indexOf(obj) === -1) {
+            this.waitingMovers.push(obj);
+        }
+        if (obj.isMoving) {
+            obj.isMoving = false;
+            obj.changeVisualToDirection(obj.currentDirection);
+        }
+        obj.emit('movewait', nextTile.x, nextTile.y);
+    }
+
+    stopWaiting(obj) {
+        const index = this.waitingMovers.indexOf(obj);
+        if (index !== -1) {
+            this.waitingMovers.splice(index, 1);
+        }
+        obj.waitingPath = null;
+    }
+
+    updateWaitingMovers() {
+        for (const obj of this.waitingMovers.slice()) {
+            const path = obj.waitingPath;
+            const nextTile = path[path.length - 1];
+            if (!this.isCellBlocked(nextTile.x, nextTile.y, obj)) {
+                this.stopWaiting(obj);
+                this.moveObjThrough(obj, path);
+            } else if (++obj.waitFrames >= MOVE_WAIT_FRAMES) {
+                this.stopWaiting(obj);
+                this.repathMover(obj);
+            }
+        }
+    }
+
+    // 막힌 셀을 피해서 원래 목적지로 가는 길을 다시 찾는다. 길이 없으면 멈춘다
+    repathMover(obj) {
+        const goal = obj.moveGoal;
+        const result = goal ? this.findMovePath(obj, obj.gridX, obj.gridY, goal.x, goal.y, goal.mode) : null;
+        const path = result ? result.path : null;
+        if (path && path.length === 0) {
+            // 이미 목적지 옆에 와 있다
+            this.stopObject(obj);
+            obj.moveGoal = null;
+            obj.emit('movearrive', null);
+            return;
+        }
+        if (path && !this.isCellBlocked(path[path.length - 1].x, path[path.length - 1].y, obj)) {
+            obj.interactTarget = (path[0].x === result.x && path[0].y === result.y) ? result.target : null;
+            obj.emit('moverepath', path);
+            this.moveObjThrough(obj, path);
+            return;
+        }
+
+        if (this.showPathHighlight && (!this.controlCharacter || obj === this.controlCharacter)) {
+            this.highlightPath(obj.currentPath, null);
+        }
+        this.stopObject(obj);
+        obj.interactTarget = null;
+        obj.moveGoal = null;
+        obj.emit('moveblocked');
     }
 
     onObjMoveStepBegin(obj, x, y) {
+        // 들어갈 셀을 예약해서 다른 캐릭터가 같이 들어오지 못하게 한다
+        this.reserveCell(obj, x, y);
+
         // Note that mapPos is being updated prior to movement
         obj.currentDirection = getDirection(obj.gridX, obj.gridY, x, y);
         obj.isMoving = true;
@@ -463,6 +1255,8 @@ class IsoMap extends PIXI.Container {
         obj.currentTargetTile = null;
         const pathEnded = (0 > obj.currentPathStep);
         this.moveEngine.removeMovable(obj);
+        this.releaseCell(obj);
+        obj.emit('movestep', obj.gridX, obj.gridY);
         let forceStop = false;
 
         // 현재 지나고 있는 타일에 이벤트가 있는지 확인한다
@@ -471,8 +1265,13 @@ class IsoMap extends PIXI.Container {
             forceStop = this.onTilePassing(obj);
         }
 
+        // 트리거 영역에 새로 들어왔는지 확인한다
+        if (this.checkForTriggers(obj)) {
+            forceStop = true;
+        }
+
         // 만약에 인터랙티브 타겟이 있고, 길이가 하나 남았으면 정지시킨다.
-        if (this.interactTarget && obj.currentPathStep === 0) {
+        if (obj.interactTarget && obj.currentPathStep === 0) {
             forceStop = true;
         }
         
@@ -485,17 +1284,40 @@ class IsoMap extends PIXI.Container {
             obj.changeVisualToDirection(obj.currentDirection);
 
             // 인터랙션 타겟이 있었나?
-            if (this.interactTarget) {
+            const interactTarget = obj.interactTarget || null;
+            obj.interactTarget = null; // 먼저 null 로 만들어주어야 한다
+            obj.moveGoal = null;
+            obj.emit('movearrive', interactTarget);
+            if (interactTarget) {
                 // 캐릭터가 해당 물체를 클릭하였다
-                const interactTarget = this.interactTarget;
-                this.interactTarget = null; // 먼저 null 로 만들어주어야 한다
                 if (this.onTouchObject) {
-                    this.onTouchObject(interactTarget);
+                    this.onTouchObject(interactTarget, obj);
                 }
             }
         }
     }
 
+    checkForTriggers(obj) {
+        const prevTriggers = obj.activeTriggers || [];
+        const triggers = this.getTriggersAt(obj.gridX, obj.gridY);
+        obj.activeTriggers = triggers;
+
+        let forceStop = false;
+        for (const trigger of prevTriggers) {
+            if (triggers.indexOf(trigger) < 0 && this.onTriggerLeave) {
+                this.onTriggerLeave(obj, trigger);
+            }
+        }
+        for (const trigger of triggers) {
+            if (prevTriggers.indexOf(trigger) < 0 && this.onTriggerEnter) {
+                if (this.onTriggerEnter(obj, trigger)) {
+                    forceStop = true;
+                }
+            }
+        }
+        return forceStop;
+    }
+
     highlightPath(currentPath, newPath) {
         if (currentPath)
         {
@@ -516,8 +1338,9 @@ class IsoMap extends PIXI.Container {
                 const pathItem = newPath[i];
                 if (!currentPath || currentPath.indexOf(pathItem) === -1)
                 {
+                    // 지나가는데 오래 걸리는 셀은 색을 달리해서 느린 길임을 알려준다
                     const tile = this.getGroundTileAt(pathItem.x, pathItem.y);
-                    tile.setHighlighted(true);
+                    tile.setHighlighted(true, this.getMoveCost(pathItem.x, pathItem.y) > 1 ? SLOW_HIGHLIGHT_COLOR : HIGHLIGHT_COLOR);
                 }
             }
         }
@@ -540,64 +1363,25 @@ class IsoMap extends PIXI.Container {
             {
                 this.arrangeObjLocation(obj, obj.currentTargetTile.x, obj.currentTargetTile.y);
                 this.arrangeObjTransperancies(obj, obj.gridX, obj.gridY, obj.currentTargetTile.x, obj.currentTargetTile.y);
-                this.arrangeDepthsFromLocation(obj.gridX, obj.gridY);
             }
         }	
     }
 
-    focusBattleCenter() {
-        if (true) {
-            const px = this.externalCenter.x - this.mapVisualWidthReal / 2 * this.currentScale;
-            const py = this.externalCenter.y - this.mapVisualHeightReal / 20 * this.currentScale;
-
-            this.moveEngine.addTween(this.mapContainer.position, 0.5, { x: px, y: py }, 0, "easeInOut", true);
-        }
-    }
-
-    focusBattleObject(obj) {
-        this.currentFocusLocation = { c: obj.gridX, r: obj.gridY };
-        const px = this.externalCenter.x - obj.position.x * this.currentScale;
-        const py = this.externalCenter.y - obj.position.y * this.currentScale + 20;
-
-        setTimeout(() => {
-            this.moveEngine.addTween(this.mapContainer.position, 0.5, { x: px, y: py }, 0, "easeInOut", true);
-        }, 500)
-    }
-
-    checkForFollowCharacter(obj, instantFollow) {
-        if (true) {
-            this.currentFocusLocation = { c: obj.gridX, r: obj.gridY };
-            const px = this.externalCenter.x - obj.position.x * this.currentScale;
-            const py = this.externalCenter.y - obj.position.y * this.currentScale;
-            
-            if (instantFollow) {
-                this.mapContainer.position.x = px;
-                this.mapContainer.position.y = py;
-            } else {
-                this.moveEngine.addTween(this.mapContainer.position, 0.1, { x: px, y: py }, 0, "easeOut_ex", true );
-            }
-        }
-    }
-
-    
-
     arrangeObjTransperancies(obj, prevX, prevY, x, y) {
         if (true) {
-            for (let i = 0; i < this.objectMap.length; ++i) {
-                const a = this.objectMap[i];
-                if (a) {
-                    a.alpha = 1;
-                }
+            for (const a of this.objects) {
+                a.alpha = a.baseAlpha;
             }
 
             for (let j = y; j < this.mapHeight; ++j) {
                 for (let i = 0; i <= x; ++i) {
-                    const tile = this.objectMap[i + j * this.mapWidth];
-                    if (tile && tile !== obj) {
-                        // 충돌체크를 한다
-                        const hit = hitTestRectangle(tile.getBounds(), obj.getBounds());
-                        if (hit) {
-                            tile.alpha = 0.75;
+                    for (const tile of this.getObjectsAt(i, j)) {
+                        if (tile !== obj) {
+                            // 충돌체크를 한다
+                            const hit = hitTestRectangle(tile.getBounds(), obj.getBounds());
+                            if (hit) {
+                                tile.alpha = tile.baseAlpha * 0.75;
+                            }
                         }
                     }
                 }
@@ -613,40 +1397,200 @@ class IsoMap extends PIXI.Container {
     }
         
     arrangeObjLocation(obj, x, y) {
-        this.removeObjRefFromLocation(obj);
-        this.addObjRefToLocation(obj, x, y);
+        obj.gridX = x;
+        obj.gridY = y;
+        this.setCharacterCell(obj, x, y);
+        this.depthDirty = true;
     }
-    
-    arrangeDepthsFromLocation(gridX, gridY) {
-        for (let y = gridY; y < this.mapHeight; y++) {
-            for (let x = gridX - 1; x >= 0; x--) {
-                const a = this.objectMap[x + y * this.mapWidth];
-                if (a) {
-                    this.objectContainer.addChild(a);
+
+    // 오브젝트가 그리드에서 차지하는 영역. 셀의 경계까지 차지한다
+    getDepthBox(tile) {
+        return {
+            minX: tile.gridX - 0.5,
+            maxX: tile.gridX + tile.columnSpan - 0.5,
+            minY: tile.gridY - tile.rowSpan + 0.5,
+            maxY: tile.gridY + 0.5
+        };
+    }
+
+    // y 가 작은 쪽, x 가 큰 쪽에 완전히 떨어져 있으면 뒤에 있다
+    isBehind(boxA, boxB) {
+        return boxA.maxY <= boxB.minY || boxA.minX >= boxB.maxX;
+    }
+
+    // 영역 중심의 화면 깊이가 더 뒤인가. 같으면 타일, 추가된 순서가 먼저다
+    isFarther(a, b) {
+        if (a.depthKey !== b.depthKey) {
+            return a.depthKey < b.depthKey;
+        }
+        const isTileA = a instanceof Tile;
+        const isTileB = b instanceof Tile;
+        if (isTileA !== isTileB) {
+            return isTileA;
+        }
+        return (a.depthOrder || 0) < (b.depthOrder || 0);
+    }
+
+    // a 를 b 보다 먼저 그려야 하는가. 한쪽만 뒤에 떨어져 있으면 그쪽이 먼저다
+    // 그것으로 갈리지 않을때 캐릭터가 오브젝트의 영역 안에 서있으면 (바닥에 깔린 오브젝트 등) 오브젝트가 먼저, 나머지는 중심의 화면 깊이로 정한다
+    isDrawnBefore(a, b) {
+        const aBehind = this.isBehind(a.depthBox, b.depthBox);
+        const bBehind = this.isBehind(b.depthBox, a.depthBox);
+        if (aBehind !== bBehind) {
+            return aBehind;
+        }
+        const isTileA = a instanceof Tile;
+        if (!aBehind && isTileA !== (b instanceof Tile)) {
+            return isTileA;
+        }
+        return this.isFarther(a, b);
+    }
+
+    // 오브젝트는 움직이지 않으므로 맵을 만들때 한번만 화면에서 겹치는 오브젝트끼리의 앞뒤를 구한다
+    // depthBefore 에 먼저 그려야 하는 오브젝트들을 넣고, 중심의 화면 깊이 순서로 정렬해서 돌려준다
+    sortObjectDepths() {
+        const objects = this.objectContainer.children.filter((child) => child instanceof Tile);
+        for (const obj of objects) {
+            obj.depthBox = this.getDepthBox(obj);
+            obj.depthKey = (obj.depthBox.minY + obj.depthBox.maxY) - (obj.depthBox.minX + obj.depthBox.maxX);
+            obj.depthBefore = [];
+        }
+        for (let i = 0; i < objects.length; ++i) {
+            for (let j = i + 1; j < objects.length; ++j) {
+                const a = objects[i];
+                const b = objects[j];
+                if (!hitTestRectangle(a.viewBounds, b.viewBounds)) {
+                    continue;
+                }
+                if (this.isDrawnBefore(a, b)) {
+                    b.depthBefore.push(a);
+                } else {
+                    a.depthBefore.push(b);
                 }
             }
         }
+        return objects.sort((a, b) => this.isFarther(a, b) ? -1 : 1);
+    }
+
+    // 캐릭터와 화면에서 겹치는 오브젝트들의 앞뒤를 구한다. 캐릭터가 움직였을때만 다시 계산한다
+    updateCharacterDepth(character) {
+        const pos = this.getGridPosFor(character.position.x, character.position.y);
+        character.depthBox = { minX: pos.x, maxX: pos.x, minY: pos.y, maxY: pos.y };
+        character.depthKey = 2 * (pos.y - pos.x);
+        character.depthBounds = this.getViewBounds(character);
+        character.depthBefore = [];
+        character.depthAfter = [];
+        for (const obj of this.objectOrder) {
+            if (!hitTestRectangle(obj.viewBounds, character.depthBounds)) {
+                continue;
+            }
+            if (this.isDrawnBefore(obj, character)) {
+                character.depthBefore.push(obj);
+            } else {
+                character.depthAfter.push(obj);
+            }
+        }
     }
 
-    removeObjRefFromLocation(obj) {
-        //const index = obj.gridX + obj.gridY * this.mapWidth;
-        //this.objectMap[index] = null;
-        this.objectContainer.removeChild(obj);
+    // 움직인 캐릭터만 앞뒤를 다시 구한다
+    updateDepths() {
+        for (const character of this.characters) {
+            if (character.depthX !== character.position.x || character.depthY !== character.position.y) {
+                character.depthX = character.position.x;
+                character.depthY = character.position.y;
+                this.updateCharacterDepth(character);
+                this.depthDirty = true;
+            }
+        }
+        if (this.depthDirty) {
+            this.sortDepths();
+        }
     }
-    
-    addObjRefToLocation(obj, x, y) {
-        
-        obj.gridX = x;
-        obj.gridY = y;
-      
 
-        //const index = x + y * this.mapWidth;
-        //this.objectMap[index] = obj;
-        this.objectContainer.addChild(obj);
+    // 오브젝트와 캐릭터를 위상 정렬한다
+    // 중심의 화면 깊이 순서로 방문하면서 먼저 그려야 하는 것들을 먼저 넣는다. 순환이 있으면 먼저 방문한 쪽에서 끊는다
+    sortDepths() {
+        const characters = this.characters.filter((character) => character.parent === this.objectContainer);
+
+        // 캐릭터가 끼어드는 앞뒤 관계는 이번 정렬에서만 쓴다
+        const extraBefore = new Map();
+        const addBefore = (obj, before) => {
+            if (!extraBefore.has(obj)) {
+                extraBefore.set(obj, []);
+            }
+            extraBefore.get(obj).push(before);
+        };
+        characters.forEach((a, i) => {
+            for (const obj of a.depthAfter) {
+                addBefore(obj, a);
+            }
+            for (let j = i + 1; j < characters.length; ++j) {
+                const b = characters[j];
+                if (!hitTestRectangle(a.depthBounds, b.depthBounds)) {
+                    continue;
+                }
+                if (this.isDrawnBefore(a, b)) {
+                    addBefore(b, a);
+                } else {
+                    addBefore(a, b);
+                }
+            }
+        });
+        characters.sort((a, b) => this.isFarther(a, b) ? -1 : 1);
+
+        const container = this.objectContainer;
+        const order = [];
+        const visited = new Set();
+        const visit = (obj) => {
+            if (visited.has(obj)) {
+                return;
+            }
+            visited.add(obj);
+            for (const before of obj.depthBefore) {
+                visit(before);
+            }
+            for (const before of extraBefore.get(obj) || []) {
+                visit(before);
+            }
+            if (obj.parent === container) {
+                order.push(obj);
+            }
+        };
+
+        let next = 0;
+        for (const obj of this.objectOrder) {
+            while (next < characters.length && this.isFarther(characters[next], obj)) {
+                visit(characters[next++]);
+            }
+            visit(obj);
+        }
+        while (next < characters.length) {
+            visit(characters[next++]);
+        }
+
+        // 정렬한 것들이 있던 자리에 새 순서대로 넣는다. 정렬에 들어가지 않은 자식(표시, 이펙트 등)은 자리를 지킨다
+        const sorted = new Set(order);
+        const children = container.children;
+        let slot = 0;
+        children.forEach((child, index) => {
+            if (sorted.has(child)) {
+                children[index] = order[slot++];
+            }
+        });
+        container.onChildrenChange(0);
+        this.depthDirty = false;
     }
 
     update() {
         this.moveEngine.update();
+        this.updateWaitingMovers();
+        this.camera.update();
+        this.updateDepths();
+        this.updateCulling();
+        this.updateOverlays();
+        if (this.lighting) {
+            this.lighting.update();
+        }
     }
                 
 }
@@ -671,6 +1615,24 @@ class Character extends PIXI.Container {
         this.status = 'idle';
         this.container = new PIXI.Container();
 
+        // 전투에서 한 턴에 쓸 수 있는 이동력. 지나가는 셀의 이동 비용만큼 줄어든다
+        this.maxMovePoints = 4;
+        this.movePoints = 0;
+        // 기본 공격이 닿는 거리. 1 이면 붙어있는 상대만 때린다
+        this.attackRange = 1;
+        // 전투에서 행동 게이지가 차는 속도. 빠를수록 차례가 자주 온다
+        this.speed = 10;
+        this.initiative = 0;
+
+        // 전투 스킬 (SKILLS 의 아이디, js/skills.js). 에너지를 쓰고 쿨다운이 있다
+        this.skills = ["attack"];
+        this.maxEnergy = 100;
+        this.energy = 50;
+        this.cooldowns = {};
+        this.buffs = [];
+        // 데미지 스킬을 피할 확률. 스킬의 명중률에서 뺀다
+        this.evasion = 0.05;
+
 
         // 스프라이트를 읽어와서 애니메이션을 시킨다.
         // 아이들 애니메이션을 읽어온다
@@ -710,13 +1672,48 @@ class Character extends PIXI.Container {
         }
     }
 
+    // 버프가 더해진 능력치
+    getStat(name) {
+        let value = this[name];
+        for (const buff of this.buffs) {
+            if (buff.stat === name) {
+                value += buff.amount;
+            }
+        }
+        return value;
+    }
+
+    // 같은 이름의 버프는 겹치지 않고 남은 턴만 새로 한다
+    addBuff(buff) {
+        this.buffs = this.buffs.filter((b) => b.name !== buff.name);
+        this.buffs.push({ name: buff.name, stat: buff.stat, amount: buff.amount, turns: buff.turns });
+    }
+
+    // 행동 게이지가 차서 이 캐릭터의 차례가 올때마다 쿨다운과 버프를 한 턴씩 줄이고 에너지를 회복한다
+    onTurnStart() {
+        for (const id in this.cooldowns) {
+            this.cooldowns[id] = Math.max(0, this.cooldowns[id] - 1);
+        }
+        for (const buff of this.buffs) {
+            buff.turns--;
+        }
+        this.buffs = this.buffs.filter((buff) => buff.turns > 0);
+        this.energy = Math.min(this.maxEnergy, this.energy + ENERGY_REGEN);
+    }
+
+    onHeal(game, amount) {
+        this.hp = Math.min(this.maxHp, this.hp + amount);
+        const hpWidth = this.hp / this.maxHp * 34;
+        game.tweens.addTween(this.hpBar, 0.5, { width: hpWidth }, 0, "easeInOut", true);
+    }
+
     onDamage(game, damage, options) {
         this.hp -= damage;
         let hpWidth = (this.hp < 0 ? 0 : this.hp) / this.maxHp * 34;
         if (options.critical) {
             game.whiteScreen.alpha = 0.2;
             game.tweens.addTween(game.whiteScreen, 0.1, { alpha: 0 }, 0, "easeInOut", true);
-            game.stage.vibrateObj(game.stage.mapContainer, 6, null);
+            game.stage.camera.shake(6);
         }
         // Effect 작성해보자.
         // 여기 메모리 낭비.. 계속 addChild로 animated sprite 박고 있어서 문제가 될 듯하다. 어떻게 해야할까..
@@ -771,13 +1768,24 @@ class Character extends PIXI.Container {
         }
     }
 
+    // 그 방향의 애니메이션이 없으면 가장 가까운 방향의 애니메이션을 쓴다 (4방향 캐릭터가 대각선으로 움직일때)
+    getAnimationName(prefix, direction) {
+        for (const dir of getNearestDirections(direction)) {
+            const name = prefix + '_' + getDirectionName(dir);
+            if (this.animations[name]) {
+                return name;
+            }
+        }
+        return prefix + '_' + getDirectionName(direction);
+    }
+
     changeVisualToDirection(direction) {
         this.currentDir = direction;
         if (this.isMoving) {
             // 이동 애니메이션
-            this.setAnimation('walk_' + getDirectionName(direction));
+            this.setAnimation(this.getAnimationName('walk', direction));
         } else {
-            this.setAnimation('idle_' + getDirectionName(direction));
+            this.setAnimation(this.getAnimationName('idle', direction));
         }
     }    
 }
@@ -804,6 +1812,8 @@ class Knight extends Character {
         this.ciriticalRate = 0.3;
         this.ciriticalBalance = 1.7;
         this.defense = 0.5;
+        this.speed = 8;
+        this.skills = ["power_strike", "iron_wall"];
         
         // Animation
         this.animations.idle_nw = { textures: loadAniTexture("idle_nw", 2), flipX: false };
@@ -856,6 +1866,7 @@ class Wizard extends Character {
         this.ciriticalRate = 0.2;
         this.ciriticalBalance = 1.5;
         this.defense = 0.4;
+        this.skills = ["fireball", "heal"];
         
         // Animation
         this.animations.idle_nw = { textures: loadAniTexture("elid_idle_nw", 1), flipX: false };
@@ -903,6 +1914,9 @@ class Archer extends Character {
         this.ciriticalRate = 0.5;
         this.ciriticalBalance = 2;
         this.defense = 0.3;
+        this.speed = 12;
+        this.attackRange = 4;
+        this.skills = ["aimed_shot", "arrow_rain"];
         
         // Animation
         this.animations.idle_nw = { textures: loadAniTexture("miluda_idle_nw", 1), flipX: false };
@@ -947,6 +1961,10 @@ class Troll extends Character {
         this.ciriticalRate = 0.2;
         this.ciriticalBalance = 1.2;
         this.defense = 0.5;
+        this.speed = 7;
+        this.maxMovePoints = 3;
+        this.skills = ["attack", "club_smash"];
+        this.aiProfile = "Troll";
         
         // Animation
         this.animations.idle_sw = { textures: loadAniTexture("monster2-idle_sw", 1), flipX: false };
@@ -1001,6 +2019,8 @@ class Medusa extends Character {
         this.ciriticalRate = 0.4;
         this.ciriticalBalance = 1.5;
         this.defense = 0.3;
+        this.skills = ["attack", "stone_gaze"];
+        this.aiProfile = "Medusa";
         
         // Animation
         this.animations.idle_sw = { textures: loadAniTexture("monster1_idle_sw", 1), flipX: false };
@@ -1032,7 +2052,7 @@ class Wolf extends Character {
         super();
         this.removeChild(this.container);
 
-        this.portrait = new PIXI.Sprite(PIXI.Texture.fromFrame("monster02_active.png"));
+        this.portrait = new PIXI.Sprite(PIXI.Texture.fromFrame("monster03_active.png"));
 
         this.hp = 150;
         this.maxHp = 150;
@@ -1041,8 +2061,13 @@ class Wolf extends Character {
         this.ciriticalRate = 0.4;
         this.ciriticalBalance = 1.5;
         this.defense = 0.3;
+        this.speed = 14;
+        this.maxMovePoints = 5;
+        this.evasion = 0.15;
+        this.skills = ["attack", "howl"];
+        this.aiProfile = "Wolf";
         
-        // Animation
+        // Animation. 늑대 전용 스프라이트 시트가 없어서 메두사의 시트를 같이 쓴다 (초상화만 monster03)
         this.animations.idle_sw = { textures: loadAniTexture("monster1_idle_sw", 1), flipX: false };
         this.animations.idle_se = { textures: this.animations.idle_sw.textures, flipX: true };
 
@@ -1075,6 +2100,67 @@ function hitTestRectangle(rect1, rect2) {
     rect1.y + rect1.height > rect2.y);
 };
 
+// 화면 좌표에 디스플레이 오브젝트의 보이는 픽셀이 있는지 확인한다
+// 스프라이트만 검사하고 그래픽스(하이라이트 등)는 무시한다
+function hitTestDisplayObject(obj, globalPoint) {
+    if (!obj.visible || obj.worldAlpha <= 0) {
+        return false;
+    }
+    if (obj instanceof PIXI.Sprite && hitTestSprite(obj, globalPoint)) {
+        return true;
+    }
+    for (let i = obj.children.length - 1; i >= 0; --i) {
+        if (hitTestDisplayObject(obj.children[i], globalPoint)) {
+            return true;
+        }
+    }
+    return false;
+}
+
+const PICK_ALPHA_THRESHOLD = 32;
+let pickCanvas = null;
+
+function hitTestSprite(sprite, globalPoint) {
+    const texture = sprite.texture;
+    if (!texture || !texture.baseTexture.hasLoaded) {
+        return false;
+    }
+
+    const local = sprite.worldTransform.applyInverse(globalPoint);
+    const x = local.x + sprite.anchor.x * texture.orig.width;
+    const y = local.y + sprite.anchor.y * texture.orig.height;
+    if (x < 0 || y < 0 || x >= texture.orig.width || y >= texture.orig.height) {
+        return false;
+    }
+
+    // 스프라이트 시트에서 잘려나간 영역은 투명하다
+    const trim = texture.trim;
+    const px = Math.floor(trim ? x - trim.x : x);
+    const py = Math.floor(trim ? y - trim.y : y);
+    if (px < 0 || py < 0 || px >= texture.frame.width || py >= texture.frame.height) {
+        return false;
+    }
+    if (texture.rotate) {
+        // 회전된 프레임은 영역만 확인한다
+        return true;
+    }
+
+    if (!pickCanvas) {
+        pickCanvas = document.createElement('canvas');
+        pickCanvas.width = 1;
+        pickCanvas.height = 1;
+    }
+    const context = pickCanvas.getContext('2d');
+    try {
+        context.clearRect(0, 0, 1, 1);
+        context.drawImage(texture.baseTexture.source, texture.frame.x + px, texture.frame.y + py, 1, 1, 0, 0, 1, 1);
+        return context.getImageData(0, 0, 1, 1).data[3] >= PICK_ALPHA_THRESHOLD;
+    } catch (error) {
+        // 다른 도메인의 이미지는 픽셀을 읽을 수 없으므로 영역만 확인한다
+        return true;
+    }
+}
+
 
 
 Engine.Character = Character;
@@ -0,0 +1,219 @@
+// 깜빡이는 광원은 마지막으로 그린 밝기와 이만큼 달라졌을때만 어둠 레이어를 다시 그린다
+const LIGHT_REDRAW_THRESHOLD = 0.03;
+
+// 점광원
+// options : { x, y, target, radius, color, intensity, flicker }
+//  x, y      : 고정된 광원의 그리드 좌표
+//  target    : 광원이 따라다닐 오브젝트 (캐릭터 등). 있으면 x, y 대신 사용한다
+//  radius    : 빛이 닿는 거리 (타일 단위)
+//  color     : 빛의 색 (0xRRGGBB)
+//  intensity : 0 ~ 1 어둠을 걷어내는 정도
+//  flicker   : 0 ~ 1 깜빡이는 정도
+class PointLight {
+    constructor(options) {
+        options = options || {};
+        this.x = options.x || 0;
+        this.y = options.y || 0;
+        this.target = options.target || null;
+        this.radius = options.radius || 3;
+        this.color = options.color !== undefined ? options.color : 0xFFFFFF;
+        this.intensity = options.intensity !== undefined ? options.intensity : 1;
+        this.flicker = options.flicker || 0;
+        this.enabled = true;
+
+        this.brightness = 1;
+        this.flickerTarget = 1;
+        this.drawnBrightness = 1;
+
+        // 가려짐 계산 결과 (화면 좌표의 다각형)
+        this.visibility = null;
+        this.visibilityKey = null;
+    }
+
+    // 다시 그려야 할 만큼 밝기가 바뀌었으면 true
+    update() {
+        if (!this.flicker) {
+            return false;
+        }
+        updateFlicker(this, this.flicker);
+        return Math.abs(this.brightness - this.drawnBrightness) >= LIGHT_REDRAW_THRESHOLD;
+    }
+}
+
+// 맵 전체를 덮는 어둠 레이어
+// 캔버스 렌더러에서도 동작하도록 2D 캔버스에 어둠을 칠하고 광원 부분을 지워낸 뒤 텍스쳐로 올린다
+//  - 어둠은 darkness (0 ~ 1) 만큼 칠해진다
+//  - 광원은 벽에 가려지는 영역을 빼고 방사형으로 어둠을 걷어내고 빛의 색을 살짝 입힌다
+class LightingLayer extends PIXI.Sprite {
+    constructor(map) {
+        super();
+
+        this.map = map;
+        this.darkness = 0;
+        this.dirty = true;
+
+        // 성능을 위해서 절반 해상도로 그리고 늘려서 보여준다
+        this.resolution = 0.5;
+
+        // 맵이 그려지는 영역
+        this.bounds = map.getMapBounds();
+
+        this.canvas = document.createElement('canvas');
+        this.canvas.width = Math.ceil((this.bounds.right - this.bounds.left) * this.resolution);
+        this.canvas.height = Math.ceil((this.bounds.bottom - this.bounds.top) * this.resolution);
+        this.context = this.canvas.getContext('2d');
+
+        this.texture = PIXI.Texture.fromCanvas(this.canvas);
+        this.position.set(this.bounds.left, this.bounds.top);
+        this.scale.set(1 / this.resolution);
+    }
+
+    setDarkness(darkness) {
+        this.darkness = darkness;
+        this.dirty = true;
+    }
+
+    // 벽이 바뀌었을때 가려짐을 다시 계산하게 한다
+    invalidate() {
+        for (const light of this.map.lights) {
+            light.visibilityKey = null;
+        }
+        this.dirty = true;
+    }
+
+    update() {
+        let changed = this.dirty;
+        for (const light of this.map.lights) {
+            if (light.update()) {
+                changed = true;
+            }
+
+            const pos = this.getLightPosition(light);
+            const key = pos.x.toFixed(2) + ',' + pos.y.toFixed(2) + ',' + light.radius;
+            if (light.visibilityKey !== key) {
+                light.visibility = this.computeVisibility(pos.x, pos.y, light.radius);
+                light.visibilityKey = key;
+                light.screenX = this.map.getTilePosXFor(pos.x, pos.y);
+                light.screenY = this.map.getTilePosYFor(pos.x, pos.y);
+                changed = true;
+            }
+        }
+
+        if (changed) {
+            this.render();
+            this.dirty = false;
+        }
+    }
+
+    // 광원의 그리드 좌표 (실수)
+    getLightPosition(light) {
+        if (light.target) {
+            return this.map.getGridPosFor(light.target.position.x, light.target.position.y);
+        }
+        return { x: light.x, y: light.y };
+    }
+
+    // 광원에서 그리드 공간으로 광선을 쏘아서 벽에 막히는 곳까지의 다각형을 구한다
+    computeVisibility(x, y, radius) {
+        const rayCount = 64;
+        const step = 0.25;
+        const originX = Math.round(x);
+        const originY = Math.round(y);
+        const points = [];
+
+        for (let i = 0; i < rayCount; ++i) {
+            const angle = (i / rayCount) * Math.PI * 2;
+            const dx = Math.cos(angle);
+            const dy = Math.sin(angle);
+
+            let distance = step;
+            for (; distance < radius; distance += step) {
+                const cx = Math.round(x + dx * distance);
+                const cy = Math.round(y + dy * distance);
+                // 광원이 놓인 셀(벽에 걸린 횃불 등)은 가리지 않는다
+                if ((cx !== originX || cy !== originY) && this.map.isLightBlocked(cx, cy)) {
+                    // 벽의 앞면까지는 밝혀준다
+                    distance = Math.min(distance + 0.5, radius);
+                    break;
+                }
+            }
+
+            const ex = x + dx * distance;
+            const ey = y + dy * distance;
+            points.push(this.map.getTilePosXFor(ex, ey), this.map.getTilePosYFor(ex, ey));
+        }
+        return points;
+    }
+
+    render() {
+        const context = this.context;
+        const map = this.map;
+
+        for (const light of map.lights) {
+            light.drawnBrightness = light.brightness;
+        }
+
+        context.setTransform(1, 0, 0, 1, 0, 0);
+        context.globalCompositeOperation = 'source-over';
+        context.clearRect(0, 0, this.canvas.width, this.canvas.height);
+        if (this.darkness <= 0) {
+            this.texture.baseTexture.update();
+            return;
+        }
+
+        context.fillStyle = 'rgba(0, 0, 0, ' + this.darkness + ')';
+        context.fillRect(0, 0, this.canvas.width, this.canvas.height);
+
+        // 이제부터는 맵 좌표로 그린다
+        context.setTransform(this.resolution, 0, 0, this.resolution,
+            -this.bounds.left * this.resolution, -this.bounds.top * this.resolution);
+
+        for (const light of map.lights) {
+            const alpha = light.intensity * light.brightness;
+            if (!light.enabled || !light.visibility || alpha <= 0) {
+                continue;
+            }
+
+            context.save();
+            const points = light.visibility;
+            context.beginPath();
+            context.moveTo(points[0], points[1]);
+            for (let i = 2; i < points.length; i += 2) {
+                context.lineTo(points[i], points[i + 1]);
+            }
+            context.closePath();
+            context.clip();
+
+            // 아이소메트릭 공간의 원은 화면에서 타원이 된다
+            const radius = light.radius * map.TILE_HALF_W * Math.SQRT2;
+
+            // 어둠을 걷어낸다
+            context.globalCompositeOperation = 'destination-out';
+            this.drawGlow(light.screenX, light.screenY, radius, 0x000000, alpha);
+
+            // 빛의 색을 입힌다
+            context.globalCompositeOperation = 'source-over';
+            this.drawGlow(light.screenX, light.screenY, radius, light.color, alpha * 0.25);
+
+            context.restore();
+        }
+
+        this.texture.baseTexture.update();
+    }
+
+    drawGlow(x, y, radius, color, alpha) {
+        const context = this.context;
+        const rgb = ((color >> 16) & 0xFF) + ', ' + ((color >> 8) & 0xFF) + ', ' + (color & 0xFF);
+
+        context.save();
+        context.translate(x, y);
+        context.scale(1, this.map.TILE_HALF_H / this.map.TILE_HALF_W);
+        const gradient = context.createRadialGradient(0, 0, 0, 0, 0, radius);
+        gradient.addColorStop(0, 'rgba(' + rgb + ', ' + alpha + ')');
+        gradient.addColorStop(0.6, 'rgba(' + rgb + ', ' + (alpha * 0.6) + ')');
+        gradient.addColorStop(1, 'rgba(' + rgb + ', 0)');
+        context.fillStyle = gradient;
+        context.fillRect(-radius, -radius, radius * 2, radius * 2);
+        context.restore();
+    }
+}
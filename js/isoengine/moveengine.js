@@ -119,9 +119,25 @@ class MoveEngine {
         
         o.speedUnit = this.getUnit({ x: (px - o.position.x), y: (py - o.position.y) });
         o.currentTarget = { x: px, y: py };
-        o.currentReachThresh = Math.ceil(Math.sqrt(o.speedUnit.x * o.speedUnit.x + o.speedUnit.y * o.speedUnit.y) * o.speedMagnitude);
+        o.stepSpeed = o.speedMagnitude * this.getStepSpeedScale(o.gridX, o.gridY, x, y);
+        o.currentReachThresh = Math.ceil(Math.sqrt(o.speedUnit.x * o.speedUnit.x + o.speedUnit.y * o.speedUnit.y) * o.stepSpeed);
     };
 
+    // 화면에서 대각선 이동은 가로(E, W)로 길고 세로(N, S)로 짧다
+    // 셀 거리당 걸리는 시간이 같도록 (대각선은 직선의 1.414 배) 화면상의 속도를 맞춘다
+    getStepSpeedScale(fromX, fromY, toX, toY) {
+        const engine = this.engine;
+        const gridDist = Math.sqrt((toX - fromX) * (toX - fromX) + (toY - fromY) * (toY - fromY));
+        if (gridDist === 0) {
+            return 1;
+        }
+        const screenDist = this.getDist(
+            { x: engine.getTilePosXFor(fromX, fromY), y: engine.getTilePosYFor(fromX, fromY) },
+            { x: engine.getTilePosXFor(toX, toY), y: engine.getTilePosYFor(toX, toY) });
+        const straightDist = Math.sqrt(engine.TILE_HALF_W * engine.TILE_HALF_W + engine.TILE_HALF_H * engine.TILE_HALF_H);
+        return screenDist / straightDist / gridDist;
+    }
+
     addTween(o, duration, vars, delay, easing, overwrite, onComplete) {
         let v = null;
         for (const prop in vars) {
@@ -219,7 +235,7 @@ class MoveEngine {
                     // check for target reach
                     if (o.currentTarget) {
                         const dist = this.getDist(o.positionR, o.currentTarget);
-                        if (dist <= o.speedMagnitude) {
+                        if (dist <= o.stepSpeed) {
                             // reached to the target
                             o.position.x = o.currentTarget.x;
                             o.position.y = o.currentTarget.y;
@@ -230,15 +246,14 @@ class MoveEngine {
                         }
                     }
                   
-                    o.positionR.x += o.speedMagnitude * o.speedUnit.x;
-                    o.positionR.y += o.speedMagnitude * o.speedUnit.y;
+                    o.positionR.x += o.stepSpeed * o.speedUnit.x;
+                    o.positionR.y += o.stepSpeed * o.speedUnit.y;
 
                     o.position.x = Math.floor(o.positionR.x);
                     o.position.y = Math.floor(o.positionR.y);
                     
                     // check for tile change
                     this.engine.checkForTileChange(o);
-                    this.engine.checkForFollowCharacter(o);
                 }
             }
             
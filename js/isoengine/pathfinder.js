@@ -4,6 +4,8 @@ class GridNode {
         this.y = y;
         this.weight = weight;
         this.ignoreCollide = false;
+        // 다른 캐릭터가 서있는 셀
+        this.occupied = false;
     }
 
     getCost(fromNeighbor) {
@@ -19,7 +21,7 @@ class GridNode {
         if (this.ignoreCollide) {
             return false;
         } else {
-            return this.weight === 0 || this.dynamicWeight === 0 ;
+            return this.weight === 0 || this.dynamicWeight === 0 || this.occupied;
         }
     }
 }
@@ -152,8 +154,15 @@ class BinaryHeap{
 }
 
 class PathFinder {
-    constructor(width, height) {
-        
+    // options.diagonal : 대각선으로도 움직인다
+    // options.cutCorners : 대각선 양옆중 한쪽만 막혀있으면 지나갈 수 있다 (기본은 양쪽 다 비어있어야 한다)
+    constructor(width, height, options) {
+        options = options || {};
+        this.diagonal = !!options.diagonal;
+        this.cutCorners = !!options.cutCorners;
+        // 경로를 구한 뒤에 직선으로 갈 수 있는 구간을 펴준다
+        this.smoothing = !!options.smoothing;
+
         this.nodes = [];
         this.grid = [];
         for (let y = 0; y < height; y++)
@@ -186,24 +195,46 @@ class PathFinder {
         node.parent = null;
     }
 
+    // 경로는 도착점이 앞쪽인 노드 배열이다
+    // 목적지에 갈 수 없으면 가장 가까운 곳까지의 경로를 돌려주고 path.reachable 이 false 가 된다
     solve(originX, originY, destX, destY, ignoreTarget) {
         const start = this.grid[originY][originX];
         const end = this.grid[destY][destX];
 
         end.ignoreCollide = ignoreTarget;
-        const result = this.search(start, end);
+        let result = this.search(start, end);
+        if (result && result.length > 1 && this.smoothing) {
+            const reachable = result.reachable;
+            result = this.smoothPath(start, result);
+            result.reachable = reachable;
+        }
         end.ignoreCollide = false;
         
         return result && result.length > 0 ? result : null;
     }
 
+    setSmoothing(smoothing) {
+        this.smoothing = !!smoothing;
+    }
+
+    setDiagonal(diagonal, cutCorners) {
+        this.diagonal = !!diagonal;
+        this.cutCorners = !!cutCorners;
+    }
+
+    // 4방향은 맨해튼 거리, 8방향은 옥타일 거리를 쓴다
+    heuristic(pos0, pos1) {
+        const d1 = Math.abs(pos1.x - pos0.x);
+        const d2 = Math.abs(pos1.y - pos0.y);
+        if (this.diagonal) {
+            return (d1 + d2) + (1.41421 - 2) * Math.min(d1, d2);
+        }
+        return d1 + d2;
+    }
+
     search(start, end) {
         this.init();
-        const heuristic = (pos0, pos1) => {
-            const d1 = Math.abs(pos1.x - pos0.x);
-            const d2 = Math.abs(pos1.y - pos0.y);
-            return d1 + d2;
-        };
+        const heuristic = this.heuristic.bind(this);
 
         const openHeap = new BinaryHeap((node) => node.f);
 
@@ -218,7 +249,9 @@ class PathFinder {
 
             // End case -- result has been found, return the traced path.
             if(currentNode === end) {
-                return this.pathTo(currentNode);
+                const path = this.pathTo(currentNode);
+                path.reachable = true;
+                return path;
             }
 
             // Normal case -- move currentNode from open to closed, process each of its neighbors.
@@ -268,7 +301,178 @@ class PathFinder {
             }
         }
 
-        return this.pathTo(closestNode);
+        const path = this.pathTo(closestNode);
+        path.reachable = false;
+        return path;
+    }
+
+    // 계단처럼 꺾인 경로에서 직선으로 지나갈 수 있는 구간을 직선에 가까운 셀들로 바꾼다
+    // 셀 단위로 움직이는 것은 같고, 비용이 늘어나는 구간은 바꾸지 않는다
+    smoothPath(start, path) {
+        const points = [start].concat(path.slice().reverse());
+        const result = [];
+        let i = 0;
+        while (i < points.length - 1) {
+            let j = points.length - 1;
+            let segment = null;
+            for (; j > i + 1; --j) {
+                segment = this.getLineOfSight(points[i], points[j]);
+                if (segment && this.getNodesCost(points[i], segment) <= this.getNodesCost(points[i], points.slice(i + 1, j + 1)) + 0.0001) {
+                    break;
+                }
+                segment = null;
+            }
+            if (!segment) {
+                j = i + 1;
+                segment = [points[j]];
+            }
+            result.push(...segment);
+            i = j;
+        }
+        return result.reverse();
+    }
+
+    // from 에서 to 까지 직선위의 셀들 (from 은 제외). 중간에 막힌 셀이 있으면 null
+    // 4방향일때는 가로 세로로만, 8방향일때는 브레젠험 직선으로 따라간다
+    getLineOfSight(from, to) {
+        const dx = Math.abs(to.x - from.x);
+        const dy = Math.abs(to.y - from.y);
+        const sx = from.x < to.x ? 1 : -1;
+        const sy = from.y < to.y ? 1 : -1;
+        const nodes = [];
+        let x = from.x;
+        let y = from.y;
+        let err = dx - dy;
+        let ix = 0;
+        let iy = 0;
+        while (x !== to.x || y !== to.y) {
+            const prevX = x;
+            const prevY = y;
+            if (this.diagonal) {
+                const e2 = 2 * err;
+                if (e2 > -dy) {
+                    err -= dy;
+                    x += sx;
+                }
+                if (e2 < dx) {
+                    err += dx;
+                    y += sy;
+                }
+            } else if ((0.5 + ix) / dx < (0.5 + iy) / dy) {
+                x += sx;
+                ix++;
+            } else {
+                y += sy;
+                iy++;
+            }
+
+            const node = this.grid[y][x];
+            if (node.isWall()) {
+                return null;
+            }
+            if (x !== prevX && y !== prevY && !this.canCutCorner(this.grid[prevY][x], this.grid[y][prevX])) {
+                return null;
+            }
+            nodes.push(node);
+        }
+        return nodes;
+    }
+
+    // from 에서 to 가 보이는가. 막힌 지형만 시야를 가리고 캐릭터가 서있는 셀은 가리지 않는다
+    // 이동 방식과 상관없이 브레젠험 직선을 따라가고, 비스듬히 지나가는 모서리의 양쪽이 모두 막혔으면 가려진다
+    hasLineOfSight(from, to) {
+        const isBlocked = (node) => node.weight === 0 || node.dynamicWeight === 0;
+        const dx = Math.abs(to.x - from.x);
+        const dy = Math.abs(to.y - from.y);
+        const sx = from.x < to.x ? 1 : -1;
+        const sy = from.y < to.y ? 1 : -1;
+        let x = from.x;
+        let y = from.y;
+        let err = dx - dy;
+        while (x !== to.x || y !== to.y) {
+            const prevX = x;
+            const prevY = y;
+            const e2 = 2 * err;
+            if (e2 > -dy) {
+                err -= dy;
+                x += sx;
+            }
+            if (e2 < dx) {
+                err += dx;
+                y += sy;
+            }
+
+            if (x !== prevX && y !== prevY && isBlocked(this.grid[prevY][x]) && isBlocked(this.grid[y][prevX])) {
+                return false;
+            }
+            if ((x !== to.x || y !== to.y) && isBlocked(this.grid[y][x])) {
+                return false;
+            }
+        }
+        return true;
+    }
+
+    // from 에서 nodes 를 차례로 지나갈때의 비용
+    getNodesCost(from, nodes) {
+        let cost = 0;
+        let prev = from;
+        for (const node of nodes) {
+            cost += node.getCost(prev);
+            prev = node;
+        }
+        return cost;
+    }
+
+    // 출발점에서 budget 이하의 비용으로 갈 수 있는 셀들을 찾는다 (다익스트라)
+    // 결과는 { x, y, cost } 의 배열이고 출발점은 포함하지 않는다
+    findReachable(originX, originY, budget) {
+        this.init();
+        const start = this.grid[originY][originX];
+        const openHeap = new BinaryHeap((node) => node.g);
+        const result = [];
+
+        start.visited = true;
+        openHeap.push(start);
+        while (openHeap.size() > 0) {
+            const currentNode = openHeap.pop();
+            currentNode.closed = true;
+            if (currentNode !== start) {
+                result.push({ x: currentNode.x, y: currentNode.y, cost: currentNode.g });
+            }
+
+            const neighbors = this.neighbors(currentNode);
+            for (let i = 0, il = neighbors.length; i < il; ++i) {
+                const neighbor = neighbors[i];
+                if (neighbor.closed || neighbor.isWall()) {
+                    continue;
+                }
+
+                const gScore = currentNode.g + neighbor.getCost(currentNode);
+                if (gScore > budget) {
+                    continue;
+                }
+                if (!neighbor.visited) {
+                    neighbor.visited = true;
+                    neighbor.parent = currentNode;
+                    neighbor.g = gScore;
+                    openHeap.push(neighbor);
+                } else if (gScore < neighbor.g) {
+                    neighbor.parent = currentNode;
+                    neighbor.g = gScore;
+                    openHeap.rescoreElement(neighbor);
+                }
+            }
+        }
+        return result;
+    }
+
+    // solve 가 돌려준 경로(도착점이 앞쪽)를 따라 출발점에서 움직일때 드는 비용
+    getPathCost(originX, originY, path) {
+        const nodes = [];
+        for (let i = path.length - 1; i >= 0; --i) {
+            nodes.push(this.grid[path[i].y][path[i].x]);
+        }
+        return this.getNodesCost(this.grid[originY][originX], nodes);
     }
 
     pathTo(node) {
@@ -308,19 +512,41 @@ class PathFinder {
             ret.push(grid[x][y+1]);
         }
 
+        if (this.diagonal) {
+            // 대각선은 모서리를 통과할 수 있을때만 간다
+            const diagonals = [[-1, -1], [-1, 1], [1, -1], [1, 1]];
+            for (const d of diagonals) {
+                const neighbor = grid[x+d[0]] && grid[x+d[0]][y+d[1]];
+                if (neighbor && this.canCutCorner(grid[x+d[0]][y], grid[x][y+d[1]])) {
+                    ret.push(neighbor);
+                }
+            }
+        }
 
         return ret;
     }
 
+    // 대각선 양옆의 두 셀을 보고 모서리를 가로질러도 되는지 정한다
+    canCutCorner(side1, side2) {
+        const open1 = side1 && !side1.isWall();
+        const open2 = side2 && !side2.isWall();
+        return this.cutCorners ? (open1 || open2) : (open1 && open2);
+    }
+
     markDirty(node) {
         this.dirtyNodes.push(node);
     }
 
-    setCell(x, y, movable) {
-	    this.grid[y][x].weight = movable ? 1 : 0;
+    // cost : 셀에 들어올때 드는 비용 (진흙, 물 등은 1 보다 크다). 휴리스틱이 맨해튼 거리이므로 1 보다 작게 하지 않는다
+    setCell(x, y, movable, cost) {
+        this.grid[y][x].weight = movable ? Math.max(1, cost || 1) : 0;
     }
 
     setDynamicCell(x, y, movable) {
         this.grid[y][x].dynamicWeight = movable ? 1 : 0;
     }
+
+    setOccupied(x, y, occupied) {
+        this.grid[y][x].occupied = occupied;
+    }
 }
\ No newline at end of file
@@ -0,0 +1,217 @@
+// 스킬 데이터. 캐릭터 클래스는 skills 에 스킬 아이디를 가진다 (플레이어는 skillA, skillB 버튼 순서)
+//  - type : damage(데미지), heal(회복), buff(능력치 강화)
+//  - target : enemy(적), ally(아군), self(자신)
+//  - area : 맞는 범위
+//      single : 대상 한명
+//      cross : 대상과 상하좌우로 붙어있는 셀 (radius 만큼)
+//      square : 대상을 중심으로 한 정사각형 (radius 만큼)
+//      all : 대상 진영 전체
+//  - power : damage 는 공격력의 배율, heal 은 최대 체력의 비율
+//  - criticalBonus : 크리티컬 확률을 더한다
+//  - accuracy : 명중률 (기본 1). 대상의 회피율(evasion)을 뺀 만큼 맞는다
+//  - range : 대상까지 닿는 그리드 거리. 없으면 쓰는 캐릭터의 attackRange. 1 보다 멀면 지형이 시야를 가리면 못 쓴다
+//  - buff : { stat, amount, turns } 능력치에 amount 를 더하고 turns 턴동안 유지한다
+//  - delay : 맞은 대상의 행동 게이지를 이만큼 깎아서 차례를 늦춘다. 음수면 차례를 앞당긴다
+//  - cost : 사용할때 드는 에너지, cooldown : 사용한 뒤 쉬어야 하는 턴 수
+//  - icon : 스킬 버튼 이미지. 사용할 수 있으면 icon + "_on.png", 아니면 icon + ".png" 를 보여준다
+const SKILLS = {
+    attack: {
+        name: "공격", type: "damage", target: "enemy", area: "single",
+        power: 1, cost: 0, cooldown: 0
+    },
+
+    // Hector (Knight)
+    power_strike: {
+        name: "강타", type: "damage", target: "enemy", area: "single",
+        power: 1.5, delay: 20, cost: 20, cooldown: 1, icon: "ch03_skill01"
+    },
+    iron_wall: {
+        name: "철벽", type: "buff", target: "ally", area: "all",
+        buff: { stat: "defense", amount: 0.2, turns: 2 }, cost: 40, cooldown: 3, icon: "ch03_skill02"
+    },
+
+    // Elid (Wizard)
+    fireball: {
+        name: "파이어볼", type: "damage", target: "enemy", area: "cross", radius: 1, range: 3,
+        power: 1.2, cost: 40, cooldown: 2, icon: "ch01_skill01"
+    },
+    heal: {
+        name: "치유", type: "heal", target: "ally", area: "single", range: 3,
+        power: 0.35, cost: 30, cooldown: 2, icon: "ch01_skill02"
+    },
+
+    // Miluda (Archer)
+    aimed_shot: {
+        name: "조준 사격", type: "damage", target: "enemy", area: "single",
+        power: 1.3, criticalBonus: 0.3, cost: 20, cooldown: 1, icon: "ch02_skill01"
+    },
+    arrow_rain: {
+        name: "화살비", type: "damage", target: "enemy", area: "all",
+        power: 0.6, cost: 50, cooldown: 3, icon: "ch02_skill02"
+    },
+
+    // 몬스터 스킬 (버튼이 없으므로 icon 이 없다)
+    stone_gaze: {
+        name: "석화의 눈", type: "damage", target: "enemy", area: "single", range: 3,
+        power: 1.4, accuracy: 0.85, delay: 40, cost: 30, cooldown: 2
+    },
+    club_smash: {
+        name: "몽둥이 내려치기", type: "damage", target: "enemy", area: "cross", radius: 1,
+        power: 1.2, cost: 40, cooldown: 2
+    },
+    howl: {
+        name: "울부짖기", type: "buff", target: "ally", area: "all",
+        buff: { stat: "damage", amount: 15, turns: 2 }, delay: -30, cost: 40, cooldown: 3
+    }
+};
+
+// 턴마다 회복하는 에너지
+const ENERGY_REGEN = 20;
+
+// 스킬 사용 규칙. 데이터는 SKILLS 에 있고 여기서는 계산만 한다
+class Skill {
+    constructor(id, data) {
+        this.id = id;
+        Object.assign(this, data);
+    }
+
+    static get(id) {
+        const data = SKILLS[id];
+        if (!data) {
+            const error = new Error("unknown skill: " + id);
+            error.skillId = id;
+            throw error;
+        }
+        return new Skill(id, data);
+    }
+
+    canUse(user) {
+        return (user.cooldowns[this.id] || 0) <= 0 && user.energy >= this.cost;
+    }
+
+    // 에너지를 쓰고 쿨다운을 건다
+    spend(user) {
+        user.energy -= this.cost;
+        if (this.cooldown > 0) {
+            // 다음 턴이 시작될때 하나 줄어드므로 쉬어야 하는 턴보다 하나 크게 건다
+            user.cooldowns[this.id] = this.cooldown + 1;
+        }
+    }
+
+    // 스킬의 대상이 되는 진영
+    getSide(user, allies, enemies) {
+        if (this.target === "self") {
+            return [user];
+        }
+        return (this.target === "enemy") ? enemies : allies;
+    }
+
+    // 대상이 정해지지 않았을때 고를 대상. 적은 첫번째로 살아있는 캐릭터, 회복은 체력 비율이 가장 낮은 아군
+    getDefaultTarget(user, allies, enemies) {
+        const side = this.getSide(user, allies, enemies).filter((character) => character.hp > 0);
+        if (this.type === "heal") {
+            side.sort((a, b) => a.hp / a.maxHp - b.hp / b.maxHp);
+        }
+        return side[0] || null;
+    }
+
+    getRange(user) {
+        return (this.range !== undefined) ? this.range : user.attackRange;
+    }
+
+    // 대상을 직접 골라야 하는 스킬인가? 진영 전체나 자신에게 쓰는 스킬은 고르지 않는다
+    needsTarget() {
+        return this.area !== "all" && this.target !== "self";
+    }
+
+    // 대상 셀을 중심으로 맞는 셀들 ({ x, y } 의 배열). 진영 전체에 쓰는 스킬은 빈 배열이다
+    getAreaCells(x, y) {
+        if (this.area === "all") {
+            return [];
+        }
+        const radius = (this.area === "single") ? 0 : (this.radius || 0);
+        const cells = [];
+        for (let dy = -radius; dy <= radius; dy++) {
+            for (let dx = -radius; dx <= radius; dx++) {
+                if (this.area === "cross" && Math.abs(dx) + Math.abs(dy) > radius) {
+                    continue;
+                }
+                cells.push({ x: x + dx, y: y + dy });
+            }
+        }
+        return cells;
+    }
+
+    // 범위 안에 들어오는 캐릭터들. 대상은 항상 첫번째이다
+    getTargets(user, mainTarget, allies, enemies) {
+        const side = this.getSide(user, allies, enemies).filter((character) => character.hp > 0);
+        if (this.area === "all") {
+            return side;
+        }
+        if (!mainTarget) {
+            return [];
+        }
+
+        const cells = this.getAreaCells(mainTarget.gridX, mainTarget.gridY);
+        const targets = [mainTarget];
+        for (const character of side) {
+            if (character !== mainTarget && cells.some((cell) => cell.x === character.gridX && cell.y === character.gridY)) {
+                targets.push(character);
+            }
+        }
+        return targets;
+    }
+
+    getHitChance(user, target) {
+        if (this.type !== "damage") {
+            return 1;
+        }
+        const accuracy = (this.accuracy !== undefined) ? this.accuracy : 1;
+        return Math.max(0, Math.min(1, accuracy - target.getStat("evasion")));
+    }
+
+    // 대상을 고를때 보여줄 예상치. { min, max, hitChance, criticalChance }
+    predict(user, target) {
+        if (this.type === "damage") {
+            const damage = user.getStat("damage") * this.power;
+            const balance = user.balance;
+            const defense = Math.min(0.9, target.getStat("defense"));
+            return {
+                min: Math.round(damage * balance),
+                max: Math.round((damage * balance) + ((1 - balance) * damage) * (1 - defense)),
+                hitChance: this.getHitChance(user, target),
+                criticalChance: Math.min(1, user.ciriticalRate + (this.criticalBonus || 0))
+            };
+        } else if (this.type === "heal") {
+            const amount = Math.min(Math.round(target.maxHp * this.power), target.maxHp - target.hp);
+            return { min: amount, max: amount, hitChance: 1, criticalChance: 0 };
+        }
+        return { min: 0, max: 0, hitChance: 1, criticalChance: 0 };
+    }
+
+    // 대상 한명에 대한 효과를 계산한다. 적용은 Battle 이 연출과 함께 한다
+    // { type, amount, critical, miss, delay } 또는 { type: "buff", buff, delay }
+    // random 은 [0, 1) 의 수를 돌려주는 함수. 전투를 재현할때 seed 가 있는 난수를 넘긴다
+    computeEffect(user, target, random) {
+        random = random || Math.random;
+        if (this.type === "damage") {
+            if (random() >= this.getHitChance(user, target)) {
+                return { type: "damage", amount: 0, critical: false, miss: true };
+            }
+            const damage = user.getStat("damage") * this.power;
+            const balance = user.balance;
+            // 방어력 버프가 겹쳐도 데미지가 0 이하가 되지 않게 한다
+            const defense = Math.min(0.9, target.getStat("defense"));
+            let amount = Math.round((damage * balance) + (random() * (1 - balance) * damage) * (1 - defense));
+            const critical = random() < user.ciriticalRate + (this.criticalBonus || 0);
+            if (critical) {
+                amount = Math.round(amount * user.ciriticalBalance);
+            }
+            return { type: "damage", amount: amount, critical: critical, delay: this.delay || 0 };
+        } else if (this.type === "heal") {
+            const amount = Math.min(Math.round(target.maxHp * this.power), target.maxHp - target.hp);
+            return { type: "heal", amount: amount, delay: this.delay || 0 };
+        }
+        return { type: "buff", buff: Object.assign({ name: this.name }, this.buff), delay: this.delay || 0 };
+    }
+}
@@ -0,0 +1,325 @@
+// Tiled 가 저장하는 여러가지 형식을 TiledMapBuilder 가 읽는 JSON 형식으로 맞춘다
+//  - TMX (맵), TSX (타일셋) XML 파일
+//  - CSV, base64 로 인코딩된 레이어 데이터
+//  - zlib, gzip 으로 압축된 레이어 데이터 (브라우저의 DecompressionStream 을 사용한다)
+// 로딩된 리소스의 데이터는 캐시되어 있으므로 바꾸지 않고 새로운 객체를 만든다
+class TiledFormat {
+    static isXml(data) {
+        return !!(data && data.documentElement);
+    }
+
+    // 맵 데이터를 읽는다. 레이어 데이터를 푸는 작업이 비동기이므로 Promise 를 돌려준다
+    static readMap(data) {
+        let mapData;
+        try {
+            mapData = TiledFormat.isXml(data) ? TiledFormat.parseMap(data.documentElement) : Object.assign({}, data);
+        } catch (error) {
+            return Promise.reject(error);
+        }
+
+        return TiledFormat.decodeLayers(mapData.layers).then((layers) => {
+            mapData.layers = layers;
+            return mapData;
+        });
+    }
+
+    // 외부 타일셋 파일을 읽는다
+    static readTileset(data) {
+        return TiledFormat.isXml(data) ? TiledFormat.parseTileset(data.documentElement) : data;
+    }
+
+    static decodeLayers(layers) {
+        return Promise.all(layers.map((layer) => {
+            if (layer.type === "group") {
+                return TiledFormat.decodeLayers(layer.layers || []).then((children) => {
+                    return Object.assign({}, layer, { layers: children });
+                });
+            }
+            if (layer.type !== "tilelayer" || !layer.encoding || layer.encoding === "csv" && Array.isArray(layer.data)) {
+                return layer;
+            }
+            return TiledFormat.decodeData(layer.data, layer.encoding, layer.compression).then((data) => {
+                const decoded = Object.assign({}, layer, { data: data });
+                delete decoded.encoding;
+                delete decoded.compression;
+                return decoded;
+            });
+        }));
+    }
+
+    // 인코딩된 레이어 데이터를 타일 아이디 배열로 푼다
+    static decodeData(text, encoding, compression) {
+        if (encoding === "csv") {
+            return Promise.resolve(TiledFormat.parseCsv(text));
+        }
+        if (encoding !== "base64") {
+            return Promise.reject(new Error("알 수 없는 레이어 인코딩입니다 : " + encoding));
+        }
+
+        const binary = atob(text.trim());
+        const raw = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; ++i) {
+            raw[i] = binary.charCodeAt(i);
+        }
+
+        const inflated = compression ? TiledFormat.inflate(raw, compression) : Promise.resolve(raw);
+        return inflated.then((bytes) => {
+            // 타일 아이디는 4 바이트 little endian 이다
+            const data = new Array(bytes.length >> 2);
+            for (let i = 0; i < data.length; ++i) {
+                const offset = i * 4;
+                data[i] = (bytes[offset] | (bytes[offset + 1] << 8) | (bytes[offset + 2] << 16) | (bytes[offset + 3] << 24)) >>> 0;
+            }
+            return data;
+        });
+    }
+
+    static parseCsv(text) {
+        return text.split(',').map((value) => value.trim()).filter((value) => value.length > 0).map((value) => parseInt(value, 10) >>> 0);
+    }
+
+    static inflate(bytes, compression) {
+        if (compression !== "zlib" && compression !== "gzip") {
+            return Promise.reject(new Error("지원하지 않는 레이어 압축입니다 : " + compression));
+        }
+        if (typeof DecompressionStream === "undefined") {
+            return Promise.reject(new Error("이 브라우저에서는 압축된 레이어를 풀 수 없습니다 (" + compression + ")"));
+        }
+
+        // zlib 은 DecompressionStream 에서 deflate 라고 부른다
+        const format = compression === "zlib" ? "deflate" : "gzip";
+        const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream(format));
+        return new Response(stream).arrayBuffer().then((buffer) => new Uint8Array(buffer));
+    }
+
+    // ======================================================
+    // XML
+
+    static children(element, tagName) {
+        return Array.prototype.filter.call(element.childNodes, (node) => node.nodeType === 1 && (!tagName || node.tagName === tagName));
+    }
+
+    static child(element, tagName) {
+        return TiledFormat.children(element, tagName)[0] || null;
+    }
+
+    static attr(element, name, defaultValue) {
+        return element.hasAttribute(name) ? element.getAttribute(name) : defaultValue;
+    }
+
+    static numberAttr(element, name, defaultValue) {
+        return element.hasAttribute(name) ? Number(element.getAttribute(name)) : defaultValue;
+    }
+
+    // JSON 과 같은 [{ name, type, value }] 형식으로 만든다
+    static parseProperties(element) {
+        const properties = TiledFormat.child(element, "properties");
+        if (!properties) {
+            return undefined;
+        }
+
+        return TiledFormat.children(properties, "property").map((property) => {
+            const type = TiledFormat.attr(property, "type", "string");
+            // 여러줄 문자열은 value 속성 대신 내용으로 저장된다
+            const text = TiledFormat.attr(property, "value", property.textContent);
+            let value = text;
+            if (type === "int" || type === "float") {
+                value = Number(text);
+            } else if (type === "bool") {
+                value = text === "true";
+            }
+            return { name: property.getAttribute("name"), type: type, value: value };
+        });
+    }
+
+    static parseMap(element) {
+        if (element.tagName !== "map") {
+            throw new Error("TMX 맵 파일이 아닙니다");
+        }
+
+        const mapData = {
+            type: "map",
+            version: TiledFormat.attr(element, "version"),
+            orientation: TiledFormat.attr(element, "orientation", "orthogonal"),
+            renderorder: TiledFormat.attr(element, "renderorder", "right-down"),
+            width: TiledFormat.numberAttr(element, "width"),
+            height: TiledFormat.numberAttr(element, "height"),
+            tilewidth: TiledFormat.numberAttr(element, "tilewidth"),
+            tileheight: TiledFormat.numberAttr(element, "tileheight"),
+            infinite: TiledFormat.attr(element, "infinite") === "1",
+            properties: TiledFormat.parseProperties(element),
+            tilesets: TiledFormat.children(element, "tileset").map((tileset) => {
+                if (tileset.hasAttribute("source")) {
+                    return { firstgid: TiledFormat.numberAttr(tileset, "firstgid"), source: tileset.getAttribute("source") };
+                }
+                return Object.assign({ firstgid: TiledFormat.numberAttr(tileset, "firstgid") }, TiledFormat.parseTileset(tileset));
+            }),
+            layers: TiledFormat.parseLayers(element)
+        };
+        if (element.hasAttribute("staggeraxis")) {
+            mapData.staggeraxis = element.getAttribute("staggeraxis");
+            mapData.staggerindex = TiledFormat.attr(element, "staggerindex", "odd");
+        }
+        return mapData;
+    }
+
+    static parseTileset(element) {
+        const tileset = {
+            type: "tileset",
+            name: TiledFormat.attr(element, "name"),
+            tilewidth: TiledFormat.numberAttr(element, "tilewidth"),
+            tileheight: TiledFormat.numberAttr(element, "tileheight"),
+            spacing: TiledFormat.numberAttr(element, "spacing", 0),
+            margin: TiledFormat.numberAttr(element, "margin", 0),
+            tilecount: TiledFormat.numberAttr(element, "tilecount"),
+            columns: TiledFormat.numberAttr(element, "columns"),
+            properties: TiledFormat.parseProperties(element)
+        };
+
+        const image = TiledFormat.child(element, "image");
+        if (image) {
+            tileset.image = image.getAttribute("source");
+            tileset.imagewidth = TiledFormat.numberAttr(image, "width");
+            tileset.imageheight = TiledFormat.numberAttr(image, "height");
+            if (image.hasAttribute("trans")) {
+                tileset.transparentcolor = "#" + image.getAttribute("trans");
+            }
+
+            // 오래된 TSX 에는 tilecount, columns 가 없다
+            if (tileset.columns === undefined && tileset.imagewidth) {
+                tileset.columns = Math.floor((tileset.imagewidth - tileset.margin * 2 + tileset.spacing) / (tileset.tilewidth + tileset.spacing));
+            }
+            if (tileset.tilecount === undefined && tileset.imageheight) {
+                const rows = Math.floor((tileset.imageheight - tileset.margin * 2 + tileset.spacing) / (tileset.tileheight + tileset.spacing));
+                tileset.tilecount = rows * tileset.columns;
+            }
+        }
+
+        const tiles = TiledFormat.children(element, "tile").map((tile) => {
+            const data = { id: TiledFormat.numberAttr(tile, "id") };
+            const type = TiledFormat.attr(tile, "type", TiledFormat.attr(tile, "class"));
+            if (type) {
+                data.type = type;
+            }
+            const properties = TiledFormat.parseProperties(tile);
+            if (properties) {
+                data.properties = properties;
+            }
+            const animation = TiledFormat.child(tile, "animation");
+            if (animation) {
+                data.animation = TiledFormat.children(animation, "frame").map((frame) => ({
+                    tileid: TiledFormat.numberAttr(frame, "tileid"),
+                    duration: TiledFormat.numberAttr(frame, "duration")
+                }));
+            }
+            return data;
+        });
+        if (tiles.length > 0) {
+            tileset.tiles = tiles;
+        }
+        return tileset;
+    }
+
+    // 레이어의 공통 속성
+    static parseLayerBase(element, type) {
+        return {
+            type: type,
+            id: TiledFormat.numberAttr(element, "id"),
+            name: TiledFormat.attr(element, "name", ""),
+            opacity: TiledFormat.numberAttr(element, "opacity", 1),
+            visible: TiledFormat.attr(element, "visible") !== "0",
+            offsetx: TiledFormat.numberAttr(element, "offsetx", 0),
+            offsety: TiledFormat.numberAttr(element, "offsety", 0),
+            properties: TiledFormat.parseProperties(element)
+        };
+    }
+
+    static parseLayers(element) {
+        const layers = [];
+        for (const node of TiledFormat.children(element)) {
+            if (node.tagName === "layer") {
+                layers.push(TiledFormat.parseTileLayer(node));
+            } else if (node.tagName === "objectgroup") {
+                layers.push(TiledFormat.parseObjectGroup(node));
+            } else if (node.tagName === "group") {
+                layers.push(Object.assign(TiledFormat.parseLayerBase(node, "group"), { layers: TiledFormat.parseLayers(node) }));
+            } else if (node.tagName === "imagelayer") {
+                layers.push(TiledFormat.parseLayerBase(node, "imagelayer"));
+            }
+        }
+        return layers;
+    }
+
+    static parseTileLayer(element) {
+        const layer = Object.assign(TiledFormat.parseLayerBase(element, "tilelayer"), {
+            x: 0,
+            y: 0,
+            width: TiledFormat.numberAttr(element, "width"),
+            height: TiledFormat.numberAttr(element, "height")
+        });
+
+        const data = TiledFormat.child(element, "data");
+        if (!data) {
+            layer.data = [];
+            return layer;
+        }
+        if (TiledFormat.child(data, "chunk")) {
+            throw new Error("무한 맵은 지원하지 않습니다");
+        }
+
+        const encoding = TiledFormat.attr(data, "encoding");
+        if (encoding) {
+            // 인코딩된 데이터는 decodeLayers 에서 푼다
+            layer.encoding = encoding;
+            layer.compression = TiledFormat.attr(data, "compression", "");
+            layer.data = data.textContent;
+        } else {
+            layer.data = TiledFormat.children(data, "tile").map((tile) => TiledFormat.numberAttr(tile, "gid", 0) >>> 0);
+        }
+        return layer;
+    }
+
+    static parseObjectGroup(element) {
+        const layer = Object.assign(TiledFormat.parseLayerBase(element, "objectgroup"), {
+            draworder: TiledFormat.attr(element, "draworder", "topdown")
+        });
+
+        layer.objects = TiledFormat.children(element, "object").map((node) => {
+            const object = {
+                id: TiledFormat.numberAttr(node, "id"),
+                name: TiledFormat.attr(node, "name", ""),
+                type: TiledFormat.attr(node, "type", TiledFormat.attr(node, "class", "")),
+                x: TiledFormat.numberAttr(node, "x", 0),
+                y: TiledFormat.numberAttr(node, "y", 0),
+                width: TiledFormat.numberAttr(node, "width", 0),
+                height: TiledFormat.numberAttr(node, "height", 0),
+                rotation: TiledFormat.numberAttr(node, "rotation", 0),
+                visible: TiledFormat.attr(node, "visible") !== "0"
+            };
+            if (node.hasAttribute("gid")) {
+                object.gid = TiledFormat.numberAttr(node, "gid") >>> 0;
+            }
+            const properties = TiledFormat.parseProperties(node);
+            if (properties) {
+                object.properties = properties;
+            }
+
+            if (TiledFormat.child(node, "point")) {
+                object.point = true;
+            } else if (TiledFormat.child(node, "ellipse")) {
+                object.ellipse = true;
+            }
+            for (const shape of ["polygon", "polyline"]) {
+                const points = TiledFormat.child(node, shape);
+                if (points) {
+                    object[shape] = points.getAttribute("points").trim().split(/\s+/).map((point) => {
+                        const xy = point.split(',');
+                        return { x: Number(xy[0]), y: Number(xy[1]) };
+                    });
+                }
+            }
+            return object;
+        });
+        return layer;
+    }
+}
@@ -0,0 +1,735 @@
+// 타일 아이디의 상위 비트는 뒤집기 플래그이다
+const TILED_GID_MASK = 0x1FFFFFFF;
+
+// Tiled 에서 만든 맵 데이터(JSON)를 읽어서 IsoMap 을 만든다
+// 맵 방향은 isometric, staggered 를 지원하고 가로 세로 크기가 달라도 된다 (TiledMapLayout 참고)
+// 레이어 규칙
+//  - 타일 레이어 : 이름이 "Tiles" 이거나 ground 프라퍼티가 true 이면 바닥, 나머지는 오브젝트
+//                 collision 프라퍼티가 true 이면 그리지 않고 타일이 있는 셀을 막는다
+//  - 오브젝트 레이어 : type 에 따라 spawn(시작위치), npc(배치), 나머지는 trigger(영역) 가 된다
+//                     type 이 없으면 포인트는 spawn, 나머지는 trigger 로 본다
+//                     npc 의 patrol 프라퍼티는 순찰 지점들이다. Tiled 의 타일 좌표 "열,행;열,행" 으로 쓴다
+//  - 그룹 레이어 : 자식 레이어들을 펼쳐서 처리한다. visible, opacity 는 부모와 합쳐진다
+// 타일셋 프라퍼티 규칙
+//  - movable, objectType, tag, direction : 타일의 게임 데이터
+//  - rowSpan, columnSpan : 여러 셀을 차지하는 오브젝트의 크기 (놓인 셀이 가장 앞쪽 셀이다)
+//  - moveCost : 셀을 지나가는 비용 (기본 1). 진흙, 물, 잔해 등은 크게 준다. 셀의 바닥과 오브젝트중 가장 큰 값을 쓴다
+//  - light : 타일 위에 붙일 스프라이트의 텍스쳐 이름 (창문빛, 횃불 등)
+//    lightOffsetX, lightOffsetY : 타일의 아래 꼭지점으로부터의 위치 (픽셀)
+//    lightAnchorX, lightAnchorY : 스프라이트의 앵커 (기본 0.5, 0.5)
+//    lightBlend : add(기본), normal, screen, multiply
+//    lightFlicker : 0 ~ 1 깜빡이는 정도 (기본 0)
+//  - lightRadius : 타일 위치에 동적 조명용 광원을 놓는다 (타일 단위)
+//    lightColor : 광원의 색, lightIntensity : 0 ~ 1 밝기 (기본 1)
+//  - blocksLight : 빛을 가리는지 지정한다 (기본은 지나갈 수 없는 벽 오브젝트가 가린다)
+// 맵 프라퍼티 규칙
+//  - darkness : 0 ~ 1 스테이지의 어둠 정도. 0 보다 크면 동적 조명을 켠다
+//  - diagonalMovement : true 이면 8방향으로 움직인다
+//    cutCorners : true 이면 한쪽만 막힌 모서리를 대각선으로 지나갈 수 있다
+//  - smoothPath : true 이면 계단처럼 꺾인 경로를 직선에 가깝게 펴준다
+class TiledMapBuilder {
+    constructor(assets) {
+        this.assets = assets;
+    }
+
+    // Tiled 의 프라퍼티는 버전에 따라 배열이거나 객체이다
+    static getProperty(data, name) {
+        const properties = data.properties;
+        if (!properties) {
+            return undefined;
+        }
+        if (Array.isArray(properties)) {
+            for (const property of properties) {
+                if (property.name === name) {
+                    return property.value;
+                }
+            }
+            return undefined;
+        }
+        return properties[name];
+    }
+
+    // 타일의 light 프라퍼티들로부터 IsoMap 의 overlay 정보를 만든다
+    static toOverlay(data) {
+        const textureName = TiledMapBuilder.getProperty(data, "light");
+        if (!textureName) {
+            return null;
+        }
+
+        const get = (name, defaultValue) => {
+            const value = TiledMapBuilder.getProperty(data, name);
+            return value !== undefined ? value : defaultValue;
+        };
+        const blendMode = TiledMapBuilder.toBlendMode(get("lightBlend", "add"));
+        return {
+            textureName: textureName,
+            offsetX: get("lightOffsetX", 0),
+            offsetY: get("lightOffsetY", 0),
+            anchorX: get("lightAnchorX", 0.5),
+            anchorY: get("lightAnchorY", 0.5),
+            blendMode: blendMode !== undefined ? blendMode : PIXI.BLEND_MODES.ADD,
+            flicker: get("lightFlicker", 0)
+        };
+    }
+
+    // "열,행;열,행" 형식의 타일 좌표 목록을 읽는다. 형식이 틀리면 null
+    static parseCellList(value) {
+        const cells = [];
+        for (const item of String(value).split(';')) {
+            const numbers = item.split(',').map((text) => Number(text.trim()));
+            if (numbers.length !== 2 || !numbers.every((n) => Number.isInteger(n))) {
+                return null;
+            }
+            cells.push({ col: numbers[0], row: numbers[1] });
+        }
+        return cells;
+    }
+
+    // lightBlend 이름(add, normal, screen, multiply 등)을 PIXI 의 블렌드 모드로 바꾼다. 모르는 이름이면 undefined
+    static toBlendMode(name) {
+        return PIXI.BLEND_MODES[String(name).toUpperCase()];
+    }
+
+    // 타일의 lightRadius 프라퍼티들로부터 동적 조명의 광원 정보를 만든다
+    static toLight(data) {
+        const radius = TiledMapBuilder.getProperty(data, "lightRadius");
+        if (!radius) {
+            return null;
+        }
+
+        const color = TiledMapBuilder.getProperty(data, "lightColor");
+        const intensity = TiledMapBuilder.getProperty(data, "lightIntensity");
+        return {
+            radius: radius,
+            color: color ? TiledMapBuilder.parseColor(color) : 0xFFFFFF,
+            intensity: intensity !== undefined ? intensity : 1,
+            flicker: TiledMapBuilder.getProperty(data, "lightFlicker") || 0
+        };
+    }
+
+    // Tiled 의 색은 #AARRGGBB 또는 #RRGGBB 문자열이다
+    static parseColor(value) {
+        const hex = value.replace('#', '');
+        return parseInt(hex.substring(hex.length - 6), 16);
+    }
+
+    static toPropertyMap(properties) {
+        if (!properties) {
+            return {};
+        }
+        if (Array.isArray(properties)) {
+            const result = {};
+            for (const property of properties) {
+                result[property.name] = property.value;
+            }
+            return result;
+        }
+        return Object.assign({}, properties);
+    }
+
+    // 그룹 레이어를 펼쳐서 그리는 순서대로 반환한다
+    static flattenLayers(layers, parent) {
+        const result = [];
+        for (const layer of layers) {
+            const opacity = (layer.opacity !== undefined ? layer.opacity : 1) * (parent ? parent.opacity : 1);
+            const visible = layer.visible !== false && (!parent || parent.visible);
+            const properties = Object.assign({}, parent ? parent.properties : {}, TiledMapBuilder.toPropertyMap(layer.properties));
+
+            if (layer.type === "group") {
+                result.push(...TiledMapBuilder.flattenLayers(layer.layers || [], { opacity, visible, properties }));
+            } else {
+                result.push(Object.assign({}, layer, { opacity, visible, properties }));
+            }
+        }
+        return result;
+    }
+
+    // 맵에서 실제로 사용되는 타일 아이디를 모은다
+    static collectUsedTiles(layers) {
+        const usedTiles = {};
+        for (const layer of layers) {
+            if (layer.data) {
+                for (const gid of layer.data) {
+                    usedTiles[gid & TILED_GID_MASK] = true;
+                }
+            }
+            if (layer.objects) {
+                for (const object of layer.objects) {
+                    if (object.gid) {
+                        usedTiles[object.gid & TILED_GID_MASK] = true;
+                    }
+                }
+            }
+        }
+        return usedTiles;
+    }
+
+    // 타일셋 파일을 찾아서 로딩한다. 경로는 스테이지 파일의 위치를 기준으로 한다
+    // 다른 컴퓨터에서 저장된 맵은 경로가 맞지 않으므로 스테이지 파일과 같은 폴더에서 같은 이름의 파일을 한번 더 찾는다
+    // 찾지 못한 타일셋은 missing 으로 표시해두고 validate 에서 한번에 보고한다
+    // 맵에 포함된 타일셋은 스테이지 파일 이름에 타일셋 이름을 붙여서 구분한다
+    // resolve : { tilesets: [{ firstgid, source, name, data, missing, candidates }], entries: 잡은 리소스 목록 }
+    loadTilesets(stagePath, mapData) {
+        const entries = [];
+        const loadTileset = (tileset) => {
+            const result = { firstgid: tileset.firstgid, source: tileset.source };
+            if (!tileset.source) {
+                result.name = stagePath + "#" + (tileset.name || tileset.firstgid);
+                result.data = tileset;
+                return Promise.resolve(result);
+            }
+
+            result.candidates = TiledMapBuilder.getTilesetCandidates(stagePath, tileset.source);
+            const tryLoad = (index) => {
+                if (index >= result.candidates.length) {
+                    result.missing = true;
+                    return result;
+                }
+                const entry = { name: result.candidates[index], url: result.candidates[index] };
+                return this.assets.loadEntries([entry]).then(() => {
+                    entries.push(entry);
+                    result.name = entry.name;
+                    result.data = TiledFormat.readTileset(this.assets.get(entry.name).data);
+                    return result;
+                }, () => tryLoad(index + 1));
+            };
+            return tryLoad(0);
+        };
+
+        return Promise.all(mapData.tilesets.map(loadTileset)).then((tilesets) => {
+            // 경로가 달라도 내용이 같은 타일셋은 먼저 읽은 것을 같이 사용한다
+            const loaded = {};
+            for (const tileset of tilesets) {
+                if (tileset.missing) {
+                    continue;
+                }
+                const key = JSON.stringify(Object.assign({}, tileset.data, { firstgid: undefined }));
+                if (loaded[key]) {
+                    tileset.name = loaded[key].name;
+                    tileset.data = loaded[key].data;
+                } else {
+                    loaded[key] = tileset;
+                }
+            }
+            return { tilesets: tilesets, entries: entries };
+        });
+    }
+
+    static getTilesetCandidates(stagePath, source) {
+        const candidates = [AssetManager.resolveUrl(stagePath, source)];
+        const sameFolder = AssetManager.resolveUrl(stagePath, source.substring(source.lastIndexOf('/') + 1));
+        if (candidates.indexOf(sameFolder) < 0) {
+            candidates.push(sameFolder);
+        }
+        return candidates;
+    }
+
+    // 타일셋 이미지는 타일셋 파일의 위치를 기준으로 찾는다
+    static getTilesetImage(tileset) {
+        return AssetManager.resolveUrl(tileset.name, tileset.data.image);
+    }
+
+    // 빌드하기 전에 맵 데이터를 검사한다. 문제를 모두 모아서 error.problems 로 던진다
+    //  - 찾지 못한 타일셋
+    //  - 어느 타일셋에도 속하지 않는 타일 아이디
+    //  - 타일셋의 타일 갯수를 벗어난 타일 아이디
+    //  - 맵 크기와 맞지 않는 레이어 데이터
+    //  - 알 수 없는 lightBlend (빌드할때는 add 로 그린다)
+    //  - 형식이 틀리거나 맵을 벗어난 patrol 지점
+    validate(stagePath, mapData, tilesets) {
+        const problems = [];
+
+        for (const tileset of tilesets) {
+            if (tileset.missing) {
+                problems.push("타일셋을 찾을 수 없습니다 : " + tileset.source + " (" + tileset.candidates.join(', ') + ")");
+            } else if (!tileset.data.image) {
+                problems.push("이미지 모음 타일셋은 지원하지 않습니다 : " + tileset.name);
+            } else {
+                for (const data of tileset.data.tiles || []) {
+                    const blend = TiledMapBuilder.getProperty(data, "lightBlend");
+                    if (blend !== undefined && TiledMapBuilder.toBlendMode(blend) === undefined) {
+                        problems.push("타일셋 " + (tileset.source || tileset.name) + " 의 타일 " + data.id + " : 알 수 없는 lightBlend 입니다 (" + blend + ")");
+                    }
+                }
+            }
+        }
+
+        // 타일 아이디가 속한 타일셋은 firstgid 가 아이디보다 작은 것중 마지막 것이다
+        const sorted = tilesets.slice().sort((a, b) => a.firstgid - b.firstgid);
+        const reported = {};
+        const checkTile = (gid, where) => {
+            const tileId = gid & TILED_GID_MASK;
+            if (tileId === 0 || reported[tileId]) {
+                return;
+            }
+            let owner = null;
+            for (const tileset of sorted) {
+                if (tileset.firstgid <= tileId) {
+                    owner = tileset;
+                }
+            }
+
+            if (!owner) {
+                problems.push(where + " : 어느 타일셋에도 속하지 않는 타일입니다 (" + tileId + ")");
+            } else if (!owner.missing && tileId - owner.firstgid >= owner.data.tilecount) {
+                problems.push(where + " : 타일 " + tileId + " 이 타일셋 " + (owner.source || owner.name) + " 의 범위를 벗어났습니다 (" +
+                    owner.firstgid + " ~ " + (owner.firstgid + owner.data.tilecount - 1) + ")");
+            } else {
+                return;
+            }
+            // 같은 타일은 한번만 보고한다
+            reported[tileId] = true;
+        };
+
+        for (const layer of TiledMapBuilder.flattenLayers(mapData.layers)) {
+            if (layer.type === "tilelayer") {
+                if (layer.width !== mapData.width || layer.height !== mapData.height || layer.data.length !== layer.width * layer.height) {
+                    problems.push("레이어 '" + layer.name + "' 의 크기가 맵과 맞지 않습니다 (" + layer.width + "x" + layer.height + ", 타일 " + layer.data.length + "개)");
+                    continue;
+                }
+                layer.data.forEach((gid, index) => {
+                    checkTile(gid, "레이어 '" + layer.name + "' (" + (index % layer.width) + ", " + Math.floor(index / layer.width) + ")");
+                });
+            } else if (layer.type === "objectgroup") {
+                for (const object of layer.objects || []) {
+                    if (object.gid) {
+                        checkTile(object.gid, "오브젝트 '" + (object.name || object.id) + "'");
+                    }
+                    const patrol = TiledMapBuilder.getProperty(object, "patrol");
+                    if (patrol !== undefined) {
+                        const cells = TiledMapBuilder.parseCellList(patrol);
+                        if (!cells || cells.some((cell) => cell.col < 0 || cell.row < 0 || cell.col >= mapData.width || cell.row >= mapData.height)) {
+                            problems.push("오브젝트 '" + (object.name || object.id) + "' : patrol 은 맵 안의 \"열,행;열,행\" 이어야 합니다 (" + patrol + ")");
+                        }
+                    }
+                }
+            }
+        }
+
+        if (problems.length > 0) {
+            const error = new Error("스테이지 데이터에 문제가 있습니다 : " + stagePath);
+            error.problems = problems;
+            throw error;
+        }
+    }
+
+    // 스테이지 데이터를 보고 필요한 리소스 목록을 만든다
+    // 타일셋은 loadTilesets 로 미리 로딩되어 있어야 한다
+    //  - 타일셋 이미지
+    //  - 맵에서 사용된 오브젝트 타입의 리소스 (object:<타입> 그룹)
+    //  - 타일의 light 프라퍼티로 붙이는 스프라이트
+    //  - 맵 프라퍼티 characters / enemies, NPC 배치의 character 프라퍼티 (character:<이름> 그룹)
+    collectAssets(stagePath, mapData, tilesets) {
+        const groupNames = ["stage:common"];
+        const entries = [];
+        const addGroup = (groupName) => {
+            if (groupNames.indexOf(groupName) < 0 && this.assets.hasGroup(groupName)) {
+                groupNames.push(groupName);
+            }
+        };
+        const addCharacter = (name) => {
+            addGroup("character:common");
+            addGroup("character:" + name.trim().toLowerCase());
+        };
+
+        const layers = TiledMapBuilder.flattenLayers(mapData.layers);
+        const usedTiles = TiledMapBuilder.collectUsedTiles(layers);
+
+        for (const tileset of tilesets) {
+            const tiles = tileset.data;
+            const image = TiledMapBuilder.getTilesetImage(tileset);
+            if (!entries.some((entry) => entry.name === image)) {
+                entries.push({ name: image, url: image });
+            }
+
+            if (tiles.tiles) {
+                for (const data of tiles.tiles) {
+                    if (!usedTiles[data.id + tileset.firstgid]) {
+                        continue;
+                    }
+                    const objectType = TiledMapBuilder.getProperty(data, "objectType");
+                    if (objectType) {
+                        addGroup("object:" + objectType);
+                    }
+                    const light = TiledMapBuilder.getProperty(data, "light");
+                    const entry = light && this.assets.findEntry(light);
+                    if (entry && entries.indexOf(entry) < 0) {
+                        entries.push(entry);
+                    }
+                }
+            }
+        }
+
+        // 등장 캐릭터들
+        for (const propertyName of ["characters", "enemies"]) {
+            const value = TiledMapBuilder.getProperty(mapData, propertyName);
+            if (value) {
+                value.split(',').forEach(addCharacter);
+            }
+        }
+        for (const layer of layers) {
+            for (const object of layer.objects || []) {
+                const character = TiledMapBuilder.getProperty(object, "character");
+                if (object.type === "npc" && character) {
+                    addCharacter(character);
+                }
+            }
+        }
+
+        // 스테이지 전용 그룹이 매니페스트에 있으면 같이 읽는다
+        addGroup(AssetManager.stageGroupName(stagePath));
+
+        return entries.concat(this.assets.entriesOf(groupNames));
+    }
+
+    build(mapData, tilesets) {
+        const layout = new TiledMapLayout(mapData);
+        const stage = new Engine.IsoMap(layout.width, layout.height, mapData.tilewidth, mapData.tileheight);
+
+        // 타일셋을 먼저 등록한다
+        for (const tileset of tilesets) {
+            this.registerTileset(stage, tileset);
+        }
+
+        // 레이어를 순서대로 설정한다
+        for (const layer of TiledMapBuilder.flattenLayers(mapData.layers)) {
+            if (layer.type === "tilelayer") {
+                this.buildTileLayer(stage, layout, layer);
+            } else if (layer.type === "objectgroup") {
+                this.buildObjectLayer(stage, layout, layer);
+            }
+        }
+
+        // 동적 조명
+        const darkness = TiledMapBuilder.getProperty(mapData, "darkness");
+        if (darkness) {
+            stage.setAmbientDarkness(darkness);
+        }
+
+        // 8방향 이동
+        if (TiledMapBuilder.getProperty(mapData, "diagonalMovement")) {
+            stage.setDiagonalMovement(true, !!TiledMapBuilder.getProperty(mapData, "cutCorners"));
+        }
+        if (TiledMapBuilder.getProperty(mapData, "smoothPath")) {
+            stage.setPathSmoothing(true);
+        }
+
+        // 렌더링 데이터를 빌드한다
+        stage.build();
+        return stage;
+    }
+
+    registerTileset(stage, tileset) {
+        const tiles = tileset.data;
+        const imageName = TiledMapBuilder.getTilesetImage(tileset);
+        const prefix = tileset.name.replace(/\.(json|tsx)$/, '') + '_';
+        const idStart = tileset.firstgid;
+
+        // ======================================================
+        // 타일안에 디테일 데이터가 있으면 별도로 처리한다
+        const customTileData = {};
+        if (tiles.tiles) {
+            for (const data of tiles.tiles) {
+                const custom = {};
+                // 애니메이션 정보 복사
+                if (data.animation) {
+                    custom.animations = [];
+                    for(const anim of data.animation) {
+                        custom.animations.push({
+                            duration: anim.duration,
+                            textureName: prefix + anim.tileid + ".png",
+                        })
+                    }
+                }
+                // 커스텀 프라퍼티 복사. 배열, 객체 어느 형식이든 getProperty 로 읽는다
+                const movable = TiledMapBuilder.getProperty(data, "movable");
+                if (movable !== undefined) {
+                    custom.movable = movable;
+                }
+                const objectType = TiledMapBuilder.getProperty(data, "objectType");
+                if (objectType !== undefined) {
+                    custom.objectType = objectType;
+                }
+                const tag = TiledMapBuilder.getProperty(data, "tag");
+                if (tag !== undefined) {
+                    custom.tags = String(tag).split(';');
+                }
+                const direction = TiledMapBuilder.getProperty(data, "direction");
+                if (direction !== undefined) {
+                    custom.direction = (direction === "left") ? DIRECTIONS.SW : DIRECTIONS.SE;
+                }
+                for (const name of ["rowSpan", "columnSpan", "moveCost"]) {
+                    const value = TiledMapBuilder.getProperty(data, name);
+                    if (value !== undefined) {
+                        custom[name] = value;
+                    }
+                }
+                // 타일에 붙는 스프라이트와 광원
+                const overlay = TiledMapBuilder.toOverlay(data);
+                if (overlay) {
+                    custom.overlay = overlay;
+                }
+                const light = TiledMapBuilder.toLight(data);
+                if (light) {
+                    custom.light = light;
+                }
+                const blocksLight = TiledMapBuilder.getProperty(data, "blocksLight");
+                if (blocksLight !== undefined) {
+                    custom.blocksLight = blocksLight;
+                }
+                customTileData[data.id + idStart] = custom;
+            }
+        }
+        // ======================================================
+
+        for (let i = 0; i < tiles.tilecount; ++i) {
+
+            const textureName = prefix + i + ".png";
+            if (!PIXI.utils.TextureCache[textureName]) {
+
+                const image = this.assets.get(imageName).data;
+
+                const x = i % tiles.columns;
+                const y = Math.floor(i / tiles.columns);
+                const c = document.createElement('canvas');
+                c.width = tiles.tilewidth + 2;
+                c.height = tiles.tileheight + 2;
+                const context = c.getContext('2d');
+                context.drawImage(image, x * tiles.tilewidth, y * tiles.tileheight, tiles.tilewidth, tiles.tileheight, 1, 1, tiles.tilewidth, tiles.tileheight);
+                const texture = PIXI.Texture.fromCanvas(c, new PIXI.Rectangle (1, 1, tiles.tilewidth, tiles.tileheight));
+                PIXI.Texture.addToCache(texture, textureName);
+                // 타일셋 이미지가 내려갈때 같이 지워지도록 한다
+                this.assets.addDerived(imageName, [textureName]);
+            }
+            // TODO : 나중에 타일매니져로 교체한다
+            stage.addTile(i+idStart, textureName, customTileData[i + idStart]);
+        }
+    }
+
+    buildTileLayer(stage, layout, layer) {
+        const properties = layer.properties;
+        const options = { opacity: layer.opacity, visible: layer.visible };
+
+        let groundLayerIndex = -1;
+        if (!properties.collision && (layer.name === "Tiles" || properties.ground)) {
+            groundLayerIndex = stage.addGroundLayer(layer.name, options);
+        }
+
+        for (let row = 0; row < layer.height; ++row) {
+            for (let col = 0; col < layer.width; ++col) {
+                const tileId = layer.data[col + row * layer.width] & TILED_GID_MASK;
+                if (tileId === 0) {
+                    continue;
+                }
+                const { x, y } = layout.toGrid(col, row);
+
+                if (properties.collision) {
+                    // 충돌 레이어는 그리지 않는다
+                    stage.setCollision(x, y, true);
+                } else if (groundLayerIndex >= 0) {
+                    // 타일
+                    stage.setGroundTile(x, y, tileId, groundLayerIndex);
+                } else {
+                    // 오브젝트이다
+                    stage.setObjectTile(x, y, tileId, options);
+                }
+            }
+        }
+    }
+
+    buildObjectLayer(stage, layout, layer) {
+        const options = { opacity: layer.opacity, visible: layer.visible };
+
+        for (const object of layer.objects || []) {
+            const properties = Object.assign({}, layer.properties, TiledMapBuilder.toPropertyMap(object.properties));
+            const cells = this.getObjectCells(layout, object);
+            if (cells.length === 0) {
+                continue;
+            }
+            const origin = cells[0];
+
+            if (object.gid) {
+                // 타일 오브젝트는 오브젝트 타일로 배치한다
+                stage.setObjectTile(origin.x, origin.y, object.gid & TILED_GID_MASK, options);
+                continue;
+            }
+
+            const type = object.type || (object.point ? "spawn" : "trigger");
+            if (type === "spawn") {
+                stage.setSpawnPoint(object.name, origin.x, origin.y, properties);
+            } else if (type === "npc") {
+                // 순찰 지점도 배치 위치와 같은 그리드 좌표로 바꿔둔다
+                const patrol = properties.patrol ? TiledMapBuilder.parseCellList(properties.patrol) : null;
+                stage.addPlacement({
+                    name: object.name, type: type, x: origin.x, y: origin.y, properties: properties,
+                    patrol: patrol ? patrol.map((cell) => layout.toGrid(cell.col, cell.row)) : null
+                });
+            } else {
+                stage.addTrigger({ name: object.name, type: type, cells: cells, properties: properties });
+            }
+        }
+    }
+
+    // 오브젝트가 덮는 셀 목록을 구한다. 첫번째 셀이 오브젝트의 기준 위치이다
+    // 도형 검사는 Tiled 의 오브젝트 좌표계에서 셀의 중심이 도형 안에 들어가는지로 한다
+    getObjectCells(layout, object) {
+        const cells = [];
+        const addCell = (col, row) => {
+            const cell = layout.toGrid(col, row);
+            if (!cells.some((c) => c.x === cell.x && c.y === cell.y)) {
+                cells.push(cell);
+            }
+        };
+
+        const origin = layout.cellAt(object.x, object.y);
+        if (origin) {
+            addCell(origin.col, origin.row);
+        }
+        if (object.point || object.gid) {
+            return cells;
+        }
+
+        let contains;
+        if (object.polygon) {
+            const vertices = object.polygon.map((p) => [object.x + p.x, object.y + p.y]);
+            contains = (px, py) => isInPolygon({ x: px, y: py }, vertices);
+        } else if (object.ellipse) {
+            const rx = object.width / 2;
+            const ry = object.height / 2;
+            const cx = object.x + rx;
+            const cy = object.y + ry;
+            contains = (px, py) => rx > 0 && ry > 0 && Math.pow((px - cx) / rx, 2) + Math.pow((py - cy) / ry, 2) <= 1;
+        } else {
+            contains = (px, py) => object.x <= px && px < object.x + object.width && object.y <= py && py < object.y + object.height;
+        }
+
+        for (let row = 0; row < layout.rows; ++row) {
+            for (let col = 0; col < layout.columns; ++col) {
+                const center = layout.cellCenter(col, row);
+                if (contains(center.x, center.y)) {
+                    addCell(col, row);
+                }
+            }
+        }
+        return cells;
+    }
+}
+
+// Tiled 맵의 (열, 행) 과 IsoMap 의 그리드 좌표 사이의 변환
+// IsoMap 의 x 축은 화면의 오른쪽 위, y 축은 오른쪽 아래로 향하고
+// Tiled 의 아이소메트릭 맵은 열이 오른쪽 아래, 행이 왼쪽 아래로 향한다
+//  그래서 x = (행의 수 - 1) - 행, y = 열 이 되고 IsoMap 의 가로 크기는 Tiled 의 세로 크기가 된다
+// 엇갈린(staggered) 맵은 먼저 아이소메트릭 다이아몬드 좌표로 바꾼 뒤에 같은 변환을 한다
+//  다이아몬드에서 맵에 속하지 않는 셀은 비어있게 된다
+// renderorder 는 Tiled 가 그리는 순서일 뿐이고 레이어 데이터는 항상 왼쪽 위부터 행 단위로 저장된다
+//  깊이 정렬은 IsoMap 이 직접 하므로 어떤 값이든 같은 방법으로 읽는다
+class TiledMapLayout {
+    constructor(mapData) {
+        this.columns = mapData.width;
+        this.rows = mapData.height;
+        this.tileWidth = mapData.tilewidth;
+        this.tileHeight = mapData.tileheight;
+
+        if (mapData.infinite) {
+            throw new Error("무한 맵은 지원하지 않습니다");
+        }
+        const renderOrder = mapData.renderorder || "right-down";
+        if (TiledMapLayout.RENDER_ORDERS.indexOf(renderOrder) < 0) {
+            throw new Error("알 수 없는 renderorder 입니다 : " + renderOrder);
+        }
+
+        if (mapData.orientation === "isometric") {
+            this.staggered = false;
+        } else if (mapData.orientation === "staggered") {
+            this.staggered = true;
+            this.staggerX = mapData.staggeraxis === "x";
+            this.staggerOdd = mapData.staggerindex !== "even";
+        } else {
+            throw new Error("지원하지 않는 맵 방향입니다 : " + mapData.orientation);
+        }
+
+        // 다이아몬드 좌표의 범위를 구한다
+        this.minA = Infinity;
+        this.minB = Infinity;
+        let maxA = -Infinity;
+        let maxB = -Infinity;
+        for (let row = 0; row < this.rows; ++row) {
+            for (let col = 0; col < this.columns; ++col) {
+                const d = this.toDiamond(col, row);
+                this.minA = Math.min(this.minA, d.a);
+                this.minB = Math.min(this.minB, d.b);
+                maxA = Math.max(maxA, d.a);
+                maxB = Math.max(maxB, d.b);
+            }
+        }
+        this.maxB = maxB;
+
+        // IsoMap 의 크기
+        this.width = maxB - this.minB + 1;
+        this.height = maxA - this.minA + 1;
+    }
+
+    // 엇갈린 맵에서 반칸 밀려있는 줄인가?
+    isShifted(index) {
+        return (index % 2 === 1) === this.staggerOdd;
+    }
+
+    // 아이소메트릭 다이아몬드의 (열 a, 행 b)
+    // 엇갈린 맵은 밀려있는 줄을 기준으로 a - b, a + b 가 정수가 되도록 맞춘다
+    toDiamond(col, row) {
+        if (!this.staggered) {
+            return { a: col, b: row };
+        }
+
+        // 짝수 인덱스일때는 홀수 줄을 반대로 반칸 당긴것으로 본다 (전체가 반칸 평행이동된 모양이다)
+        const shift = (index) => (index % 2 === 1) ? (this.staggerOdd ? 1 : -1) : 0;
+        const diff = this.staggerX ? col : 2 * col + shift(row);
+        const sum = this.staggerX ? 2 * row + shift(col) : row;
+        return { a: (sum + diff) / 2, b: (sum - diff) / 2 };
+    }
+
+    toGrid(col, row) {
+        const d = this.toDiamond(col, row);
+        return { x: this.maxB - d.b, y: d.a - this.minA };
+    }
+
+    // 오브젝트 좌표계에서 셀의 중심
+    // 아이소메트릭 맵의 오브젝트 좌표는 타일 높이를 한 칸의 단위로 사용한다
+    cellCenter(col, row) {
+        const halfW = this.tileWidth / 2;
+        const halfH = this.tileHeight / 2;
+        if (!this.staggered) {
+            return { x: (col + 0.5) * this.tileHeight, y: (row + 0.5) * this.tileHeight };
+        } else if (this.staggerX) {
+            return { x: col * halfW + halfW, y: row * this.tileHeight + halfH + (this.isShifted(col) ? halfH : 0) };
+        }
+        return { x: col * this.tileWidth + halfW + (this.isShifted(row) ? halfW : 0), y: row * halfH + halfH };
+    }
+
+    // 오브젝트 좌표가 속한 셀. 맵 밖이면 null
+    cellAt(px, py) {
+        if (!this.staggered) {
+            const col = Math.floor(px / this.tileHeight);
+            const row = Math.floor(py / this.tileHeight);
+            if (col < 0 || row < 0 || col >= this.columns || row >= this.rows) {
+                return null;
+            }
+            return { col: col, row: row };
+        }
+
+        // 엇갈린 맵은 마름모 안에 들어가는 셀을 찾는다
+        const halfW = this.tileWidth / 2;
+        const halfH = this.tileHeight / 2;
+        for (let row = 0; row < this.rows; ++row) {
+            for (let col = 0; col < this.columns; ++col) {
+                const center = this.cellCenter(col, row);
+                if (Math.abs(px - center.x) / halfW + Math.abs(py - center.y) / halfH <= 1) {
+                    return { col: col, row: row };
+                }
+            }
+        }
+        return null;
+    }
+}
+
+TiledMapLayout.RENDER_ORDERS = ["right-down", "right-up", "left-down", "left-up"];
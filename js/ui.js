@@ -1,25 +1,48 @@
+// 화면 전체를 덮는 그림. 화면 비율이 달라도 빈 곳이 없도록 가운데를 기준으로 확대한다
+class ScreenImage extends PIXI.Sprite {
+    constructor(textureName, screenWidth, screenHeight) {
+        super(PIXI.Texture.fromFrame(textureName));
+        this.anchor.x = 0.5;
+        this.anchor.y = 0.5;
+        this.layout(screenWidth, screenHeight);
+    }
+
+    layout(screenWidth, screenHeight) {
+        const scale = Math.max(screenWidth / this.texture.width, screenHeight / this.texture.height);
+        this.scale.set(scale);
+        this.position.x = screenWidth / 2;
+        this.position.y = screenHeight / 2;
+    }
+}
+
+// 화면 크기가 바뀌면 UI 가 자식들의 layout(screenWidth, screenHeight) 을 불러준다
 class BaseModal extends PIXI.Container {
     constructor(ui, width, height) {
         super();
 
         const plane = new PIXI.mesh.NineSlicePlane(PIXI.Texture.from('dialog.png'), 12, 10, 12, 10);
-        plane.position.x = (ui.screenWidth - width) / 2;
-        plane.position.y = (ui.screenHeight - height) /2;
         plane.width = width;
         plane.height = height;
         this.plane = plane;
 
         const background = new PIXI.Sprite(PIXI.Texture.WHITE);
         background.alpha = 0;
-        background.width = ui.screenWidth;
-        background.height = ui.screenHeight;
         background.interactive = true; // 클릭을 방지한다
         background.mouseup = this.onClick.bind(this);
+        this.background = background;
         
         this.addChild(background);
         this.addChild(plane);
 
         this.onclose = null;
+        this.layout(ui.screenWidth, ui.screenHeight);
+    }
+
+    layout(screenWidth, screenHeight) {
+        this.plane.position.x = (screenWidth - this.plane.width) / 2;
+        this.plane.position.y = (screenHeight - this.plane.height) / 2;
+        this.background.width = screenWidth;
+        this.background.height = screenHeight;
     }
 
     addTitle(text) {
@@ -115,18 +138,15 @@ class Dialog extends PIXI.Container {
         super();
 
         const plane = new PIXI.mesh.NineSlicePlane(PIXI.Texture.from('dialog.png'), 12, 10, 12, 10);
-        plane.position.x = (ui.screenWidth - width) / 2;
-        plane.position.y = (ui.screenHeight - height) - 12;
         plane.width = width;
         plane.height = height;
         this.plane = plane;
 
         const background = new PIXI.Sprite(PIXI.Texture.WHITE);
         background.alpha = 0;
-        background.width = ui.screenWidth;
-        background.height = ui.screenHeight;
         background.interactive = true; // 클릭을 방지한다
         background.mouseup = this.onClick.bind(this);
+        this.background = background;
 
         // 다이얼로그안에 내부 사이즈를 구한다
         this.innerWidth = width - 32;
@@ -135,6 +155,15 @@ class Dialog extends PIXI.Container {
         this.addChild(plane);
 
         this.onclose = null;
+        this.layout(ui.screenWidth, ui.screenHeight);
+    }
+
+    layout(screenWidth, screenHeight) {
+        // 화면 아래쪽 가운데에 둔다
+        this.plane.position.x = (screenWidth - this.plane.width) / 2;
+        this.plane.position.y = (screenHeight - this.plane.height) - 12;
+        this.background.width = screenWidth;
+        this.background.height = screenHeight;
     }
 
     onClick(event) {
@@ -176,8 +205,6 @@ class StageTitle extends PIXI.Container {
         // 화면중앙에 배치를 한다
         title.anchor.x = 0.5;
         title.anchor.y = 0.5;
-        title.position.x = ui.screenWidth/2;
-        title.position.y = ui.screenHeight * 0.25;
         this.addChild(title);
 
         const textMetrics = PIXI.TextMetrics.measureText(text, style);
@@ -192,6 +219,12 @@ class StageTitle extends PIXI.Container {
         
 
         this.title = title;
+        this.layout(ui.screenWidth, ui.screenHeight);
+    }
+
+    layout(screenWidth, screenHeight) {
+        this.title.position.x = screenWidth / 2;
+        this.title.position.y = screenHeight * 0.25;
     }
 
     set titleScale(value) {
@@ -211,11 +244,15 @@ class InventoryUI extends PIXI.Container {
         // 위치는 일단 가운데 ...
         base.anchor.x = 0.5;
         base.anchor.y = 0.5;
-        base.position.x = ui.screenWidth / 2;
-        base.position.y = ui.screenHeight / 2;
         this.addChild(base);
 
         this.base = base;
+        this.layout(ui.screenWidth, ui.screenHeight);
+    }
+
+    layout(screenWidth, screenHeight) {
+        this.base.position.x = screenWidth / 2;
+        this.base.position.y = screenHeight / 2;
     }
 
     update(playerInventory) {
@@ -246,8 +283,6 @@ class CombineUI extends PIXI.Container {
         // 투명 백그라운드를 만들어서 클릭하면 닫히게 한다
         const background = new PIXI.Sprite(PIXI.Texture.WHITE);
         background.alpha = 0;
-        background.width = ui.screenWidth;
-        background.height = ui.screenHeight;
         background.interactive = true; // 클릭을 방지한다
         background.mouseup = (event) => { 
             event.stopped = true;
@@ -260,8 +295,6 @@ class CombineUI extends PIXI.Container {
         // 위치는 일단 가운데 ...
         base.anchor.x = 0.5;
         base.anchor.y = 0.5;
-        base.position.x = ui.screenWidth / 2;
-        base.position.y = ui.screenHeight / 2;
         base.interactive = true;
         base.mouseup = (evt) => { evt.stopped = true; };
         this.addChild(base);
@@ -292,8 +325,17 @@ class CombineUI extends PIXI.Container {
         };
         base.addChild(button)
 
+        this.background = background;
         this.base = base;
         this.button = button;
+        this.layout(ui.screenWidth, ui.screenHeight);
+    }
+
+    layout(screenWidth, screenHeight) {
+        this.background.width = screenWidth;
+        this.background.height = screenHeight;
+        this.base.position.x = screenWidth / 2;
+        this.base.position.y = screenHeight / 2;
     }
 
     update(game) {
@@ -370,6 +412,93 @@ class CombineUI extends PIXI.Container {
     }
 }
 
+// 화면 오른쪽 아래의 카메라 버튼 (확대, 축소, 가운데로)
+class CameraUI extends PIXI.Container {
+    constructor(ui) {
+        super();
+
+        const buttons = [
+            ["btn_zoomIn.png", (camera) => camera.zoomIn()],
+            ["btn_zoomOut.png", (camera) => camera.zoomOut()],
+            ["btn_centralize.png", (camera) => camera.recenter()]
+        ];
+
+        this.buttons = buttons.map((info) => {
+            const button = new PIXI.Sprite(PIXI.Texture.fromFrame(info[0]));
+            button.width = CameraUI.BUTTON_SIZE;
+            button.height = CameraUI.BUTTON_SIZE;
+            button.interactive = true;
+            button.mouseup = (event) => {
+                event.stopped = true;
+                const camera = ui.game.getControllableCamera();
+                if (camera) {
+                    info[1](camera);
+                }
+            };
+            this.addChild(button);
+            return button;
+        });
+        this.layout(ui.screenWidth, ui.screenHeight);
+    }
+
+    layout(screenWidth, screenHeight) {
+        const size = CameraUI.BUTTON_SIZE;
+        const margin = 16;
+        this.buttons.forEach((button, index) => {
+            button.position.x = screenWidth - size - margin;
+            button.position.y = screenHeight - (size + 8) * (this.buttons.length - index) - margin;
+        });
+    }
+}
+CameraUI.BUTTON_SIZE = 48;
+
+// 전투의 앞으로의 차례를 초상화로 늘어놓는다. 맨 왼쪽이 지금 행동하는 캐릭터이다
+// 플레이어는 파란 테두리, 적은 빨간 테두리로 구분한다
+class TurnTimeline extends PIXI.Container {
+    constructor(ui) {
+        super();
+        this.ui = ui;
+        this.players = [];
+    }
+
+    setOrder(order, players) {
+        this.players = players;
+        this.removeChildren().forEach((slot) => {
+            slot.destroy({ children: true });
+        });
+
+        let x = 0;
+        order.forEach((character, i) => {
+            const size = (i === 0) ? TurnTimeline.CURRENT_SIZE : TurnTimeline.SLOT_SIZE;
+            const slot = new PIXI.Container();
+
+            const frame = new PIXI.Graphics();
+            frame.beginFill(players.indexOf(character) >= 0 ? 0x3060C0 : 0xC03030);
+            frame.drawRect(0, 0, size + 4, size + 4);
+            frame.endFill();
+            slot.addChild(frame);
+
+            const icon = new PIXI.Sprite(character.portrait.texture);
+            icon.width = size;
+            icon.height = size;
+            icon.position.set(2, 2);
+            slot.addChild(icon);
+
+            slot.position.x = x;
+            this.addChild(slot);
+            x += size + 4 + 4;
+        });
+        this.layout(this.ui.screenWidth, this.ui.screenHeight);
+    }
+
+    // 화면 왼쪽 위에 놓는다
+    layout(screenWidth, screenHeight) {
+        this.position.set(10, 10);
+    }
+}
+TurnTimeline.SLOT_SIZE = 36;
+TurnTimeline.CURRENT_SIZE = 52;
+
 class BattleUI extends PIXI.Container {
     constructor(ui) {
         super();
@@ -385,12 +514,15 @@ class BattleUI extends PIXI.Container {
 
         this.playerUi = new PIXI.Container();
         this.enemyUi = new PIXI.Container();
+        this.timeline = new TurnTimeline(ui);
 
         this.playerUi.visible = false;
         this.enemyUi.visible = false;
+        this.timeline.visible = false;
 
         this.addChild(this.playerUi);
         this.addChild(this.enemyUi);
+        this.addChild(this.timeline);
     }
 
     setBattleUi(players, enemies) {
@@ -407,6 +539,7 @@ class BattleUI extends PIXI.Container {
 
         this.makePlayerUi(players);
         this.makeEnemiesUi(enemies);
+        this.timeline.setOrder([], players);
 
         this.playerUi.visible = false;
         this.enemyUi.visible = false;
@@ -426,18 +559,12 @@ class BattleUI extends PIXI.Container {
                 skillB: player.skillBIcon
             }
 
-            newBattleUi.portrait.x = 25 + i * 94;
-            newBattleUi.portrait.y = this.ui.screenHeight - 57 - newBattleUi.portrait.height;
             newBattleUi.portrait.interactive = true;
             this.playerUi.addChild(newBattleUi.portrait);
 
-            newBattleUi.skillA.x = newBattleUi.portrait.x + newBattleUi.portrait.width / 2 - newBattleUi.skillA.width - 3;
-            newBattleUi.skillA.y = newBattleUi.portrait.y + newBattleUi.portrait.height;
             newBattleUi.skillA.interactive = true;
             this.playerUi.addChild(newBattleUi.skillA);
 
-            newBattleUi.skillB.x = newBattleUi.portrait.x + newBattleUi.portrait.width / 2 + 3;
-            newBattleUi.skillB.y = newBattleUi.portrait.y + newBattleUi.portrait.height;
             newBattleUi.skillB.interactive = true;
             this.playerUi.addChild(newBattleUi.skillB);
             
@@ -448,12 +575,30 @@ class BattleUI extends PIXI.Container {
             style.fill = "#ffffff";
             
             const text = new PIXI.Text(player.name, style);
-            text.position.x = Math.round(newBattleUi.portrait.x + (newBattleUi.portrait.width/2) - text.width/2);
-            text.position.y = newBattleUi.portrait.y - text.height;
             this.playerUi.addChild(text);
+            newBattleUi.text = text;
 
             this.battleUi.playersPortraits.push(newBattleUi);
         });
+        this.layoutPlayerUi(this.ui.screenWidth, this.ui.screenHeight);
+    }
+
+    // 플레이어 초상화는 화면 왼쪽 아래에 놓는다
+    layoutPlayerUi(screenWidth, screenHeight) {
+        this.battleUi.playersPortraits.forEach((newBattleUi, i) => {
+            newBattleUi.portrait.x = 25 + i * 94;
+            newBattleUi.portrait.y = screenHeight - 57 - newBattleUi.portrait.height;
+
+            newBattleUi.skillA.x = newBattleUi.portrait.x + newBattleUi.portrait.width / 2 - newBattleUi.skillA.width - 3;
+            newBattleUi.skillA.y = newBattleUi.portrait.y + newBattleUi.portrait.height;
+
+            newBattleUi.skillB.x = newBattleUi.portrait.x + newBattleUi.portrait.width / 2 + 3;
+            newBattleUi.skillB.y = newBattleUi.portrait.y + newBattleUi.portrait.height;
+
+            const text = newBattleUi.text;
+            text.position.x = Math.round(newBattleUi.portrait.x + (newBattleUi.portrait.width/2) - text.width/2);
+            text.position.y = newBattleUi.portrait.y - text.height;
+        });
     }
 
     makeEnemiesUi(enemies) {
@@ -463,8 +608,6 @@ class BattleUI extends PIXI.Container {
                 portrait: enemy.portrait
             }
 
-            newBattleUi.portrait.x = 970 - ((enemies.length - i) * 94);
-            newBattleUi.portrait.y = 10;
             newBattleUi.portrait.interactive = true;
             this.enemyUi.addChild(newBattleUi.portrait);
             
@@ -476,22 +619,52 @@ class BattleUI extends PIXI.Container {
             
             // 우선 레벨 하드코딩..
             const text = new PIXI.Text('Lv.1', style);
-            text.position.x = Math.round(newBattleUi.portrait.x + (newBattleUi.portrait.width/2) - text.width/2);
-            text.position.y = newBattleUi.portrait.y + newBattleUi.portrait.height + 3;
             this.enemyUi.addChild(text);
+            newBattleUi.text = text;
 
             this.battleUi.enemiesPortraits.push(newBattleUi);
         });
+        this.layoutEnemiesUi(this.ui.screenWidth, this.ui.screenHeight);
+    }
+
+    // 적 초상화는 화면 오른쪽 위에 놓는다
+    layoutEnemiesUi(screenWidth, screenHeight) {
+        const count = this.battleUi.enemiesPortraits.length;
+        this.battleUi.enemiesPortraits.forEach((newBattleUi, i) => {
+            newBattleUi.portrait.x = screenWidth - 10 - ((count - i) * 94);
+            newBattleUi.portrait.y = 10;
+
+            const text = newBattleUi.text;
+            text.position.x = Math.round(newBattleUi.portrait.x + (newBattleUi.portrait.width/2) - text.width/2);
+            text.position.y = newBattleUi.portrait.y + newBattleUi.portrait.height + 3;
+        });
+    }
+
+    layout(screenWidth, screenHeight) {
+        this.layoutPlayerUi(screenWidth, screenHeight);
+        this.layoutEnemiesUi(screenWidth, screenHeight);
+        for (const child of this.children) {
+            if (child.layout) {
+                child.layout(screenWidth, screenHeight);
+            }
+        }
     }
 
     showUi() {
         this.playerUi.visible = true;
         this.enemyUi.visible = true;
+        this.timeline.visible = true;
     }
 
     hideUi() {
         this.playerUi.visible = false;
         this.enemyUi.visible = false;
+        this.timeline.visible = false;
+    }
+
+    // 앞으로의 차례 (Battle.getTurnOrder)
+    updateTimeline(order) {
+        this.timeline.setOrder(order, this.players);
     }
 
     updateStatus(character) {
@@ -513,7 +686,23 @@ class BattleUI extends PIXI.Container {
             this.battleUi.playersPortraits[index].skillB.interactive = false;
             this.battleUi.playersPortraits[index].skillA.removeAllListeners();
             this.battleUi.playersPortraits[index].skillB.removeAllListeners();
+            this.battleUi.playersPortraits[index].portrait.removeAllListeners('mouseup');
+        });
+    }
+
+    // 스킬 버튼을 사용할 수 있는지에 따라 켜진 아이콘과 꺼진 아이콘으로 바꾼다
+    updateSkillIcons(player, index) {
+        const portraits = this.battleUi.playersPortraits[index];
+        const icons = [portraits.skillA, portraits.skillB];
+        const usable = [];
+        icons.forEach((icon, i) => {
+            const skill = player.skills[i] ? Skill.get(player.skills[i]) : null;
+            usable[i] = !!skill && skill.canUse(player);
+            if (skill && skill.icon) {
+                icon.texture = PIXI.Texture.fromFrame(skill.icon + (usable[i] ? "_on.png" : ".png"));
+            }
         });
+        return usable;
     }
 
     getCommand(callback) {
@@ -523,9 +712,18 @@ class BattleUI extends PIXI.Container {
                 this.battleUi.playersPortraits[index].portrait.tint = 0xBBBBBB;
             }
             if (player.status === 'idle') {
+                const usable = this.updateSkillIcons(player, index);
+
                 this.battleUi.playersPortraits[index].portrait.tint = 0xFFFFFF;
-                this.battleUi.playersPortraits[index].skillA.interactive = true;
-                this.battleUi.playersPortraits[index].skillB.interactive = true;
+                this.battleUi.playersPortraits[index].skillA.interactive = usable[0];
+                this.battleUi.playersPortraits[index].skillB.interactive = usable[1];
+
+                // 초상화를 클릭하면 기본 공격을 한다
+                this.battleUi.playersPortraits[index].portrait.on('mouseup', (event) => {
+                    this.battleUi.playersPortraits[index].portrait.tint = 0xBBBBBB;
+                    callback(player, 'attack');
+                    this.disableInteractive();
+                });
 
                 this.battleUi.playersPortraits[index].skillA.on('mouseup', (event) => {
                     this.battleUi.playersPortraits[index].portrait.tint = 0xBBBBBB;
@@ -541,6 +739,156 @@ class BattleUI extends PIXI.Container {
             }
         });
     }
+
+    // 대상 선택중에는 후보의 초상화만 밝게 보이고 클릭할 수 있다. 원래 색은 hideTargets 에서 돌려놓는다
+    showTargets(candidates, onSelect) {
+        const characters = this.players.concat(this.enemies);
+        const portraits = this.battleUi.playersPortraits.concat(this.battleUi.enemiesPortraits);
+
+        this.targetPortraits = [];
+        characters.forEach((character, i) => {
+            const portrait = portraits[i].portrait;
+            const isCandidate = candidates.indexOf(character) >= 0;
+            this.targetPortraits.push({ character: character, portrait: portrait, tint: portrait.tint, isCandidate: isCandidate });
+
+            portrait.tint = isCandidate ? 0xFFFFFF : 0x606060;
+            if (isCandidate) {
+                portrait.on('mouseup', () => {
+                    onSelect(character);
+                });
+            }
+        });
+    }
+
+    focusTarget(target) {
+        (this.targetPortraits || []).forEach((item) => {
+            if (item.isCandidate) {
+                item.portrait.tint = (item.character === target) ? 0xFFE080 : 0xFFFFFF;
+            }
+        });
+    }
+
+    hideTargets() {
+        (this.targetPortraits || []).forEach((item) => {
+            item.portrait.tint = item.tint;
+            item.portrait.removeAllListeners('mouseup');
+        });
+        this.targetPortraits = null;
+    }
+}
+
+// 스테이지 전환시 로딩 진행상황을 보여준다
+// 암전 화면 위에 그려지므로 게임 에셋을 사용하지 않는다
+class LoadingScreen extends PIXI.Container {
+    constructor(screenWidth, screenHeight) {
+        super();
+
+        const BAR_WIDTH = 300;
+        const BAR_HEIGHT = 6;
+
+        const barBase = new PIXI.Sprite(PIXI.Texture.WHITE);
+        barBase.width = BAR_WIDTH;
+        barBase.height = BAR_HEIGHT;
+        barBase.tint = 0x404040;
+        this.addChild(barBase);
+
+        const bar = new PIXI.Sprite(PIXI.Texture.WHITE);
+        bar.width = 0;
+        bar.height = BAR_HEIGHT;
+        this.addChild(bar);
+
+        const style = new PIXI.TextStyle({fontFamily : 'Arial', fontSize: 14, fill : 0xffffff, align : 'center' });
+        const text = new PIXI.Text("", style);
+        text.anchor.x = 0.5;
+        this.addChild(text);
+
+        // 에러가 났을때 보여줄 메세지와 버튼
+        const errorStyle = new PIXI.TextStyle({fontFamily : 'Arial', fontSize: 16, fill : 0xff6060, align : 'center', wordWrap: true });
+        const errorText = new PIXI.Text("", errorStyle);
+        errorText.anchor.x = 0.5;
+        errorText.anchor.y = 1;
+        this.addChild(errorText);
+
+        this.retryButton = this.makeButton("다시 시도");
+        this.abortButton = this.makeButton("취소");
+
+        this.barBase = barBase;
+        this.bar = bar;
+        this.barWidth = BAR_WIDTH;
+        this.text = text;
+        this.errorText = errorText;
+
+        this.visible = false;
+        this.layout(screenWidth, screenHeight);
+    }
+
+    layout(screenWidth, screenHeight) {
+        const barBase = this.barBase;
+        barBase.position.x = (screenWidth - this.barWidth) / 2;
+        barBase.position.y = screenHeight * 0.6;
+        this.bar.position.x = barBase.position.x;
+        this.bar.position.y = barBase.position.y;
+
+        this.text.position.x = screenWidth / 2;
+        this.text.position.y = barBase.position.y + barBase.height + 10;
+
+        this.errorText.style.wordWrapWidth = screenWidth - 100;
+        this.errorText.position.x = screenWidth / 2;
+        this.errorText.position.y = barBase.position.y - 16;
+
+        this.retryButton.position.x = screenWidth / 2 - 60;
+        this.retryButton.position.y = this.text.position.y + 40;
+        this.abortButton.position.x = screenWidth / 2 + 60;
+        this.abortButton.position.y = this.text.position.y + 40;
+    }
+
+    makeButton(label) {
+        const style = new PIXI.TextStyle({fontFamily : 'Arial', fontSize: 18, fill : 0xffffff, align : 'center' });
+        const button = new PIXI.Text(label, style);
+        button.anchor.x = 0.5;
+        button.interactive = true;
+        button.buttonMode = true;
+        button.visible = false;
+        this.addChild(button);
+        return button;
+    }
+
+    show() {
+        this.visible = true;
+        this.errorText.text = "";
+        this.retryButton.visible = false;
+        this.abortButton.visible = false;
+        this.setProgress(0, "");
+    }
+
+    hide() {
+        this.visible = false;
+    }
+
+    setProgress(ratio, resourceName) {
+        this.bar.width = this.barWidth * ratio;
+        this.text.text = resourceName ? 
+            "Loading... " + Math.round(ratio * 100) + "% (" + resourceName + ")" :
+            "Loading... " + Math.round(ratio * 100) + "%";
+    }
+
+    // 로딩 실패를 보여준다. onAbort 가 없으면 취소 버튼을 숨긴다
+    showError(message, onRetry, onAbort) {
+        this.visible = true;
+        this.errorText.text = message;
+
+        this.retryButton.visible = true;
+        this.retryButton.mouseup = (event) => {
+            event.stopped = true;
+            onRetry();
+        };
+
+        this.abortButton.visible = !!onAbort;
+        this.abortButton.mouseup = (event) => {
+            event.stopped = true;
+            onAbort();
+        };
+    }
 }
 
 class UI extends PIXI.Container {
@@ -549,6 +897,7 @@ class UI extends PIXI.Container {
 
         this.game = game;
         this.game.foreground.addChild(this);
+        this.game.on('resize', this.onResize, this);
 
         this.screenWidth = game.screenWidth;
         this.screenHeight = game.screenHeight;
@@ -559,6 +908,8 @@ class UI extends PIXI.Container {
         this.addChild(this.dialog);
 
         this.theater = new PIXI.Sprite(PIXI.Texture.fromFrame("theater.png"));
+        this.theater.width = this.screenWidth;
+        this.theater.height = this.screenHeight;
         this.theater.visible =false;
         this.addChild(this.theater);
 
@@ -572,9 +923,29 @@ class UI extends PIXI.Container {
         this.addChild(this.combine);
         this.combine.visible = false;
         
+        this.cameraUi = new CameraUI(this);
+        this.cameraUi.visible = false;
+        this.addChild(this.cameraUi);
+
         this.battleUi = new BattleUI(this);
         this.addChild(this.battleUi);
     }
+
+    // 화면 크기가 바뀌면 layout 이 있는 자식들을 다시 배치한다 (모달, 스테이지 타이틀, 전투 UI 등)
+    onResize(screenWidth, screenHeight) {
+        this.screenWidth = screenWidth;
+        this.screenHeight = screenHeight;
+
+        // 극장 스크린은 위아래 띠만 있으므로 늘려서 맞춘다
+        this.theater.width = screenWidth;
+        this.theater.height = screenHeight;
+
+        for (const child of this.children) {
+            if (child.layout) {
+                child.layout(screenWidth, screenHeight);
+            }
+        }
+    }
     
     showDialog(text, closeCallback) {
         this.dialog.setText(text);
@@ -648,12 +1019,14 @@ class UI extends PIXI.Container {
         }
         this.addChild(itemAcquire);
         
+        // 화면 크기가 바뀌어도 창과 함께 움직이도록 창 안에 배치한다
+        const plane = itemAcquire.plane;
         const itemSprite = new PIXI.Sprite(PIXI.Texture.fromFrame("item3.png"));
         itemSprite.anchor.x = 0.5;
         itemSprite.anchor.y = 0.5;
-        itemSprite.position.x = itemAcquire.width / 2;
-        itemSprite.position.y = itemAcquire.height / 2 - 20;
-        itemAcquire.addChild(itemSprite);
+        itemSprite.position.x = plane.width / 2;
+        itemSprite.position.y = plane.height / 2 - 20;
+        plane.addChild(itemSprite);
         
         
         let acquireText;
@@ -665,12 +1038,12 @@ class UI extends PIXI.Container {
             acquireText = "[철문열쇠]를 얻었다";
         }
 
-        const itemText = new PIXI.Text(acquireText ,{fontFamily : 'Arial', fontSize: 16, fill : 0xffffff, align : 'center', wordWrap: true, wordWrapWidth: itemAcquire.width /2 });
+        const itemText = new PIXI.Text(acquireText ,{fontFamily : 'Arial', fontSize: 16, fill : 0xffffff, align : 'center', wordWrap: true, wordWrapWidth: plane.width - 32 });
         itemText.anchor.x = 0.5;
         itemText.anchor.y = 0.5;
-        itemText.position.x = itemAcquire.width / 2;
+        itemText.position.x = plane.width / 2;
         itemText.position.y = itemSprite.position.y + itemSprite.height / 2 + 32;
-        itemAcquire.addChild(itemText);
+        plane.addChild(itemText);
     }
 
     showChatBallon(character, text, duration) {
@@ -694,6 +1067,9 @@ class UI extends PIXI.Container {
         for (const chat of this.chatBallons) {
             chat.updatePosition();
         }
+
+        // 카메라를 조작할 수 있을때만 카메라 버튼을 보여준다
+        this.cameraUi.visible = !!this.game.getControllableCamera();
     }
 
     showInventory() {